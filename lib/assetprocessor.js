@@ -0,0 +1,57 @@
+'use strict';
+
+//
+// AssetProcessor holds what the processors of the assets (i.e. CSS and JS files)
+// share: their references are found by patterns and replaced by their revved version.
+// It is given:
+//   - the filepath of the file to consider
+//   - the content of the file to consider
+//   - a file replacement locator
+//   - an optional log callback that will be called as soon as there's something to log
+//   - an optional hash of options:
+//     - dest: the path the processed content is written to, references being resolved
+//             from its location (default: the filepath of the file to consider)
+//     - patterns: additional patterns of the references to replace, as [regexp, description]
+//                 pairs, or a function returning the patterns to use from the default ones
+//   - the default patterns of the file type, the first group captured by each (global)
+//     regexp being the reference
+//
+var AssetProcessor = module.exports = function (filepath, content, revvedfinder, logcb, options, defaults) {
+  options = options || {};
+  this.patterns = typeof options.patterns === 'function' ? options.patterns(defaults) :
+    defaults.concat(options.patterns || []);
+  this.content = content;
+  this.filepath = filepath;
+  this.dest = options.dest || filepath;
+  this.linefeed = /\r\n/g.test(content) ? '\r\n' : '\n';
+  this.revvedfinder = revvedfinder;
+  this.logcb = logcb || function () {};
+  // what has been done, i.e. the references replaced by their revved
+  // version, already revved or left untouched
+  this.report = {
+    replaced: [],
+    revved: [],
+    untouched: []
+  };
+};
+
+//
+// Calls the log callback function
+//
+AssetProcessor.prototype.log = function log(msg) {
+  this.logcb(msg);
+};
+
+//
+// Process the file, i.e. replace the references found by each pattern by their
+// revved version
+//
+AssetProcessor.prototype.process = function process() {
+  var self = this;
+  return this.patterns.reduce(function (content, rxl) {
+    self.log(rxl[1]);
+    return content.replace(rxl[0], function (match, src, offset, string) {
+      return self.revvedfinder.replace(self, match, src, string.substr(0, offset).split('\n').length).match;
+    });
+  }, this.content);
+};
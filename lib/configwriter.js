@@ -0,0 +1,194 @@
+'use strict';
+var path = require('path');
+
+//
+// Step configurators, indexed by the name used to reference them in a flow.
+// Each step is an object with:
+//   - name: the grunt config key the step writes to (i.e. the task to run)
+//   - createConfig: a function returning the configuration entry for the
+//     furnished block. It is given a context holding:
+//       - inFiles: the files to handle (i.e. the sources of the block for the
+//         first step of the flow, the output of the previous step otherwise)
+//       - outFile: the file to produce (i.e. the destination of the block, or an
+//         intermediate file in the staging directory when source maps are asked
+//         for and the step is not the last one)
+//       - sourceMap: whether source maps are asked for
+//       - inSourceMap: the source map of the files to handle, when produced by
+//         the previous step
+//     and the block itself.
+//   - sourceMap: whether the step produces a source map (i.e. outFile + '.map')
+//     when asked for
+//
+// The returned entry is stored under the block destination, for example
+// config.concat['scripts/site.js'] for the concat step.
+//
+var steps = {
+  concat: {
+    name: 'concat',
+    sourceMap: true,
+    createConfig: function (context) {
+      if (context.sourceMap) {
+        return { src: context.inFiles, dest: context.outFile, options: { sourceMap: true } };
+      }
+      return context.inFiles;
+    }
+  },
+  min: {
+    name: 'min',
+    createConfig: function (context) {
+      return context.inFiles.length === 1 ? context.inFiles[0] : context.inFiles;
+    }
+  },
+  css: {
+    name: 'css',
+    createConfig: function (context) {
+      return context.inFiles.length === 1 ? context.inFiles[0] : context.inFiles;
+    }
+  },
+  uglifyjs: {
+    name: 'uglify',
+    sourceMap: true,
+    createConfig: function (context) {
+      var config = { src: context.inFiles, dest: context.outFile };
+      if (context.sourceMap) {
+        config.options = { sourceMap: true };
+        if (context.inSourceMap) {
+          config.options.sourceMapIn = context.inSourceMap;
+        }
+      }
+      return config;
+    }
+  },
+  cssmin: {
+    name: 'cssmin',
+    sourceMap: true,
+    createConfig: function (context) {
+      // the input map is the one the sourceMappingURL comment of the file to
+      // minify points to
+      var config = { src: context.inFiles, dest: context.outFile };
+      if (context.sourceMap) {
+        config.options = { sourceMap: true };
+      }
+      return config;
+    }
+  }
+};
+
+//
+// ConfigWriter updates the configuration of the tasks to run for each block,
+// following the steps (i.e. the flow) associated to the block type.
+// It is given an optional options object with:
+//   - flow: the list of steps per block type, for example:
+//       { js: ['concat', 'uglifyjs'], css: ['concat', 'cssmin'] }
+//     which is merged with the default flow
+//   - steps: additional step configurators, indexed by name
+//   - sourceMap: whether the steps should produce source maps, chained from one
+//     step to the next
+//   - staging: the directory the intermediate files are written to when source maps
+//     are asked for, so that a step does not overwrite the map it takes as input
+//     (default: .tmp)
+//
+var ConfigWriter = module.exports = function (options) {
+  options = options || {};
+  this.flow = {};
+  this.steps = {};
+  this.sourceMap = !!options.sourceMap;
+  this.staging = options.staging || '.tmp';
+
+  [ConfigWriter.defaultFlow, options.flow || {}].forEach(function (flow) {
+    Object.keys(flow).forEach(function (type) {
+      this.flow[type] = flow[type];
+    }, this);
+  }, this);
+
+  [steps, options.steps || {}].forEach(function (registry) {
+    Object.keys(registry).forEach(function (name) {
+      this.steps[name] = registry[name];
+    }, this);
+  }, this);
+};
+
+//
+// Flow used for each block type when not overridden by the user.
+// Blocks of another type go through the default flow (i.e. are only concatenated).
+//
+ConfigWriter.defaultFlow = {
+  js: ['concat', 'min'],
+  css: ['concat', 'css'],
+  'js-concat': ['concat'],
+  'css-concat': ['concat'],
+  'inline-js': ['concat', 'min'],
+  'inline-css': ['concat', 'css'],
+  remove: [],
+  'default': ['concat']
+};
+
+//
+// Register a step configurator available to every ConfigWriter, so it can
+// be used in a flow under +name+
+//
+ConfigWriter.registerStep = function registerStep(name, step) {
+  steps[name] = step;
+};
+
+//
+// Return the list of steps to go through for the furnished block type
+//
+ConfigWriter.prototype.stepsFor = function stepsFor(type) {
+  var names = this.flow.hasOwnProperty(type) ? this.flow[type] : this.flow['default'];
+
+  return names.map(function (name) {
+    var step = this.steps[name];
+    if (!step) {
+      throw new Error('Unknown step "' + name + '" in flow for block type "' + type + '"');
+    }
+    return step;
+  }, this);
+};
+
+//
+// Update +config+ (a hash indexed by grunt config key) for the furnished block.
+// Returns the list of config keys that have been touched.
+//
+ConfigWriter.prototype.process = function process(block, config) {
+  var touched = [];
+  var sourceMap = this.sourceMap;
+  var staging = this.staging;
+  var steps = this.stepsFor(block.type);
+  var context = {
+    inFiles: block.src,
+    sourceMap: sourceMap
+  };
+
+  steps.forEach(function (step, index) {
+    // with source maps, what is produced for the next step goes to the staging directory
+    context.outFile = sourceMap && index < steps.length - 1 ?
+      path.join(staging, step.name, block.dest).replace(/\\/g, '/') : block.dest;
+    config[step.name] = config[step.name] || {};
+    config[step.name][block.dest] = step.createConfig(context, block);
+    if (touched.indexOf(step.name) === -1) {
+      touched.push(step.name);
+    }
+    // next step works on what has just been produced
+    var produced = context.outFile;
+    context = {
+      inFiles: [produced],
+      sourceMap: sourceMap
+    };
+    if (sourceMap && step.sourceMap) {
+      context.inSourceMap = produced + '.map';
+    }
+  });
+
+  // update requirejs config as well, as during path lookup we might have
+  // updated it on data-main attribute
+  if (block.requirejs) {
+    var requirejs = config.requirejs = config.requirejs || {};
+    requirejs.out = requirejs.out || block.requirejs.dest;
+    requirejs.baseUrl = requirejs.baseUrl || block.requirejs.baseUrl;
+    requirejs.name = requirejs.name || block.requirejs.name;
+    touched.push('requirejs');
+  }
+
+  return touched;
+};
@@ -0,0 +1,50 @@
+'use strict';
+
+//
+// Orders +files+ so that each one comes after the files it depends on (i.e.
+// leaf-first), given +dependenciesOf+ returning the files a file depends on.
+// Dependencies not part of +files+ are ignored.
+// Returns the ordered files, along the cycles found (as lists of files), whose
+// files are ordered as they come:
+//
+//     {
+//       order: ['images/pic.png', 'css/main.css', 'index.html'],
+//       cycles: []
+//     }
+//
+module.exports = function order(files, dependenciesOf) {
+  var result = {
+    order: [],
+    cycles: []
+  };
+  // files being visited, from the first one to the current one
+  var stack = [];
+  var done = {};
+
+  var visit = function (file) {
+    if (done[file]) {
+      return;
+    }
+
+    var index = stack.indexOf(file);
+    if (index !== -1) {
+      result.cycles.push(stack.slice(index));
+      return;
+    }
+
+    stack.push(file);
+    dependenciesOf(file).forEach(function (dependency) {
+      if (files.indexOf(dependency) !== -1) {
+        visit(dependency);
+      }
+    });
+    stack.pop();
+
+    done[file] = true;
+    result.order.push(file);
+  };
+
+  files.forEach(visit);
+
+  return result;
+};
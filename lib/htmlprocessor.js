@@ -1,5 +1,93 @@
 'use strict';
+var crypto = require('crypto');
+var fs = require('fs');
 var path = require('path');
+var tokenize = require('./htmltokenizer');
+var RevvedFinder = require('./revvedfinder');
+var CSSProcessor = require('./cssprocessor');
+var JSProcessor = require('./jsprocessor');
+
+//
+// Returns the line number (starting at 1) of the furnished offset in +content+
+//
+var lineOf = function (content, offset) {
+  return content.substr(0, offset).split('\n').length;
+};
+
+//
+// Parses the text of a build comment, e.g.
+//    build:css(media="print and (min-width: 500px)") css/print.css
+// Returns the block type, the header (i.e. what is between the parentheses, which
+// can hold balanced or quoted parentheses) and the dest, or null when the text
+// is not a build comment
+//
+var parseBuild = function (text) {
+  var type = text.match(/^\s*build:([\w\-]+)/);
+  if (!type) {
+    return null;
+  }
+
+  var i = type[0].length;
+  var header = null;
+  if (text[i] === '(') {
+    var depth = 0;
+    var quote = null;
+    for (var j = i; j < text.length; j++) {
+      var c = text[j];
+      if (quote) {
+        quote = c === quote ? null : quote;
+      } else if (c === '"' || c === '\'') {
+        quote = c;
+      } else if (c === '(') {
+        depth++;
+      } else if (c === ')' && !--depth) {
+        break;
+      }
+    }
+    if (j === text.length) {
+      return null;
+    }
+    header = text.slice(i + 1, j);
+    i = j + 1;
+  }
+
+  var dest = text.slice(i).match(/^\s*([^\s]+)\s*$/);
+  if (!dest) {
+    return null;
+  }
+
+  return {
+    type: type[1],
+    header: header,
+    dest: dest[1]
+  };
+};
+
+//
+// Returns the attributes (name -> value) shared by all the furnished tags,
+// except the ones referencing the assets
+//
+var commonAttributes = function (tags) {
+  var attributes = {};
+
+  if (!tags.length) {
+    return attributes;
+  }
+
+  tags[0].attributes.forEach(function (attr) {
+    if (['src', 'href', 'data-main'].indexOf(attr.name) !== -1) {
+      return;
+    }
+    var shared = tags.every(function (tag) {
+      return tag.attrs.hasOwnProperty(attr.name) && tag.attrs[attr.name] === attr.value;
+    });
+    if (shared) {
+      attributes[attr.name] = attr.value;
+    }
+  });
+
+  return attributes;
+};
 
 //
 // Returns an array object of all the directives for the given html.
@@ -18,8 +106,48 @@ var path = require('path');
 //         '    <link rel="stylesheet" href="css/normalize.css">',
 //         '    <link rel="stylesheet" href="css/main.css">',
 //         '    <!-- endbuild -->'
-//       ]
+//       ],
+//       attributes: {},
+//       start: 120,
+//       end: 297,
+//       line: 5,
+//       endLine: 8
 //     }
+// where attributes are the ones shared by all the tags of the block (e.g. defer, media..),
+// completed by the ones furnished in the build comment, e.g.
+//    <!-- build:css(media=print) css/print.css -->
+//
+// The build comment can also furnish the directories (from the cwd) to look into, in
+// order, for the assets of the block, instead of the directory of the HTML file, e.g.
+//    <!-- build:js({.tmp,app}) scripts/main.js -->
+// in which case the search path of the block is recorded as well:
+//
+//       searchPath: ['.tmp', 'app']
+//
+// A block can be restricted to some environments, or excluded from some, e.g.
+//    <!-- build:js(env=production,staging) scripts/main.js -->
+//    <!-- build:js(env=!cordova) scripts/main.js -->
+// in which case the environments are recorded (and not kept as attributes):
+//
+//       env: ['production', 'staging']
+//
+// Tags wrapped in IE conditional comments, either downlevel-hidden
+// (<!--[if lt IE 9]>...<![endif]-->) or downlevel-revealed (<!--[if !IE]><!-->...<!--<![endif]-->),
+// make a block of their own when the block only holds such tags, under the
+// same condition. Their sources are then collected, and the condition recorded
+// so that the replacement gets wrapped the same way:
+//
+//       conditional: { condition: 'lt IE 9', revealed: false }
+//
+// Otherwise they are left out of the sources, and their markup recorded so as to
+// be kept along the replacement:
+//
+//       conditionals: ['<!--[if lt IE 9]><script src="scripts/html5shiv.js"></script><![endif]-->']
+//
+// start and end are the offsets of the block in the content, including its
+// indentation when the build comment starts the line, line and endLine the
+// lines (starting at 1) of its build and endbuild comments.
+//
 // Note that when treating an HTML file making usage of requireJS
 // an additional information for the block is added, regarding RequireJS
 // configuration. For example:
@@ -33,74 +161,255 @@ var path = require('path');
 //    <!-- build:css /foo/css/site.css -->
 // then dest will equal foo/css/site.css (note missing trailing /)
 //
-var getBlocks = function (dir, content) {
-  // start build pattern --> <!-- build:[target] output -->
-  var regbuild = /<!--\s*build:([\w-]+)\s*([^\s]+)\s*-->/;
+// Blocks never closed (i.e. without endbuild before the end of the content or the
+// next block) are left out, and reported into +problems+ along their line, as well
+// as the build comments whose attributes do not parse (which are then ignored), the
+// build and endbuild comments that do not parse and the endbuild without block.
+//
+var getBlocks = function (dir, content, fileExists, problems) {
+  // attributes of the build comment, i.e. a list of name or name=value
+  var regattributes = /^\s*(?:[A-Za-z_:][\w:.\-]*(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?(?:\s+|$))*$/;
   // end build pattern -- <!-- endbuild -->
-  var regend = /<!--\s*endbuild\s*-->/;
-
-  var lines = content.replace(/\r\n/g, '\n').split(/\n/),
-    block = false,
-    sections = [],
-    last;
-
-  lines.forEach(function (l) {
-    var indent = (l.match(/^\s*/) || [])[0];
-    var build = l.match(regbuild);
-    var endbuild = regend.test(l);
-    var startFromRoot = false;
-
-    // discard empty lines
-    if (build) {
-      block = true;
+  var regend = /^\s*endbuild\s*$/;
+
+  var sections = [],
+    last = null,
+    // whether a build comment did not parse, its endbuild not to be reported then
+    broken = false;
+
+  var unclosed = function (block) {
+    problems.push({
+      line: block.line,
+      message: 'build:' + block.type + ' ' + block.dest + ' is never closed'
+    });
+  };
+
+  // Path of a block asset, i.e. relative to the HTML file, or the first existing
+  // one across the search path of the block when furnished
+  var resolve = function (searchPath, asset) {
+    if (!searchPath) {
+      return path.join(dir, asset);
+    }
+    var candidates = searchPath.map(function (searchDir) {
+      return path.join(searchDir, asset);
+    });
+    return candidates.filter(function (candidate) {
+      return fileExists(candidate);
+    })[0] || candidates[0];
+  };
+
+  // conditional comments patterns, the hidden one wrapping its tags
+  var reghidden = /^\[if\s+([^\]]+)\]>([\s\S]*)<!\[endif\]$/;
+  var regrevealed = /^\[if\s+([^\]]+)\]><!$/;
+  var regendif = /^<!\[endif\]$/;
+  // the downlevel-revealed conditional comment being walked through, if any
+  var revealed = null;
+
+  // Records the furnished tag as an asset of the block, if it references one
+  var addAsset = function (block, token) {
+    var asset = token.attrs.src || token.attrs.href;
+    if (!asset) {
+      return;
+    }
+    block.tags.push(token);
+    block.src.push(resolve(block.searchPath, asset));
+    // RequireJS uses a data-main attribute on the script tag to tell it
+    // to load up the main entry point of the amp app
+    //
+    // If we find one, we must record the name of the main entry point,
+    // as well the name of the destination file, and treat
+    // the furnished requirejs as an asset (src)
+    var main = token.attrs['data-main'];
+    if (main) {
+      block.requirejs = block.requirejs || {};
+      block.requirejs.dest = block.dest;
+      block.requirejs.baseUrl = path.dirname(resolve(block.searchPath, main + '.js'));
+      block.requirejs.name = path.basename(main);
+      block.src.push(block.dest);
+    }
+  };
+
+  // Decides what to do with the conditional comments of the block, i.e. whether
+  // they make the block or are kept aside
+  var addConditionals = function (block) {
+    var groups = block.groups;
+    var wrapped = groups.length && !block.tags.length && groups.every(function (group) {
+      return group.condition === groups[0].condition && group.revealed === groups[0].revealed;
+    });
+
+    if (wrapped) {
+      block.conditional = { condition: groups[0].condition, revealed: groups[0].revealed };
+      groups.forEach(function (group) {
+        group.tags.forEach(function (tag) {
+          addAsset(block, tag);
+        });
+      });
+    } else if (groups.length) {
+      block.conditionals = groups.map(function (group) {
+        return group.raw;
+      });
+    }
+  };
+
+  tokenize(content).forEach(function (token) {
+    // start build pattern --> <!-- build:[target](attributes) output -->
+    var build = token.type === 'comment' && parseBuild(token.text);
+    var endbuild = token.type === 'comment' && regend.test(token.text);
+    var hidden = last && token.type === 'comment' && token.text.match(reghidden);
+    var revealing = last && token.type === 'comment' && token.text.match(regrevealed);
+    var malformed = !build && !endbuild && token.type === 'comment' && token.text.match(/^\s*(build:|endbuild)/);
+
+    if (malformed) {
+      problems.push({
+        line: lineOf(content, token.start),
+        message: malformed[1].replace(':', '') + ' comment "' + token.text.trim() + '" does not parse'
+      });
+      if (malformed[1] === 'build:') {
+        // the block being walked through, if any, is not closed before this one
+        if (last) {
+          unclosed(last);
+        }
+        last = null;
+        broken = true;
+      }
+    } else if (endbuild && !last) {
+      if (!broken) {
+        problems.push({
+          line: lineOf(content, token.start),
+          message: 'endbuild without build comment'
+        });
+      }
+      broken = false;
+    } else if (build) {
+      if (last) {
+        unclosed(last);
+      }
+      broken = false;
+      var startFromRoot = false;
+      // the block starts with the line when there's only whitespaces before the comment
+      var lineStart = content.lastIndexOf('\n', token.start - 1) + 1;
+      var indent = content.slice(lineStart, token.start);
+      if (!/^\s*$/.test(indent)) {
+        indent = '';
+        lineStart = token.start;
+      }
+
       // Handle absolute path (i.e. with respect to the server root)
-      if (build[2][0] === '/') {
+      var dest = build.dest;
+      if (dest[0] === '/') {
         startFromRoot = true;
-        build[2] = build[2].substr(1);
+        dest = dest.substr(1);
+      }
+      // Alternate search path of the assets, e.g. {.tmp,app}, the remaining
+      // of the parentheses being attributes, parsed as the ones of a tag
+      var searchPath = null;
+      var header = (build.header || '').replace(/^\s*\{([^\}]*)\}/, function (match, dirs) {
+        searchPath = dirs.split(',');
+        return '';
+      });
+      var invalid = !regattributes.test(header);
+      var headerAttributes = invalid ? [] : tokenize('<block ' + header + '>')[0].attributes;
+      if (searchPath) {
+        searchPath = searchPath.map(function (searchDir) {
+          return searchDir.trim();
+        }).filter(function (searchDir) {
+          return searchDir;
+        });
       }
+
       last = {
-        type: build[1],
-        dest: path.join(dir, build[2]),
+        type: build.type,
+        dest: path.join(dir, dest),
         startFromRoot: startFromRoot,
         indent: indent,
         src: [],
-        raw: []
+        raw: [],
+        tags: [],
+        groups: [],
+        headerAttributes: headerAttributes,
+        start: lineStart,
+        line: lineOf(content, token.start)
       };
-    }
-
-    // switch back block flag when endbuild
-    if (block && endbuild) {
-      last.raw.push(l);
-      sections.push(last);
-      block = false;
-    }
-
-    if (block && last) {
-      var asset = l.match(/(href|src)=["']([^'"]+)["']/);
-      if (asset && asset[2]) {
-        last.src.push(path.join(dir, asset[2]));
-        // RequireJS uses a data-main attribute on the script tag to tell it
-        // to load up the main entry point of the amp app
-        //
-        // If we find one, we must record the name of the main entry point,
-        // as well the name of the destination file, and treat
-        // the furnished requirejs as an asset (src)
-        var main = l.match(/data-main=['"]([^'"]+)['"]/);
-        if (main) {
-          last.requirejs = last.requirejs || {};
-          last.requirejs.dest = last.dest;
-          last.requirejs.baseUrl = path.join(dir, path.dirname(main[1]));
-          last.requirejs.name = path.basename(main[1]);
-          last.src.push(last.dest);
-        }
+      if (searchPath && searchPath.length) {
+        last.searchPath = searchPath;
+      }
+      if (invalid) {
+        problems.push({
+          line: last.line,
+          message: 'build:' + last.type + ' ' + last.dest + ' has invalid attributes "' + header.trim() +
+            '" (directories to search go between braces, e.g. {app})'
+        });
       }
-      last.raw.push(l);
+    } else if (endbuild) {
+      // switch back block flag when endbuild
+      last.end = token.end;
+      last.endLine = lineOf(content, token.start);
+      last.raw = content.slice(last.start, last.end).split(/\r?\n/);
+      revealed = null;
+      addConditionals(last);
+      last.attributes = commonAttributes(last.tags);
+      last.headerAttributes.forEach(function (attr) {
+        if (attr.name === 'env') {
+          last.env = (attr.value || '').split(/[\s,]+/).filter(function (env) {
+            return env;
+          });
+        } else {
+          last.attributes[attr.name] = attr.value;
+        }
+      });
+      delete last.tags;
+      delete last.groups;
+      delete last.headerAttributes;
+      sections.push(last);
+      last = null;
+    } else if (hidden) {
+      last.groups.push({
+        condition: hidden[1].trim(),
+        revealed: false,
+        raw: content.slice(token.start, token.end),
+        tags: tokenize(hidden[2]).filter(function (tag) {
+          return tag.type === 'tag';
+        })
+      });
+    } else if (revealing) {
+      revealed = {
+        condition: revealing[1].trim(),
+        revealed: true,
+        start: token.start,
+        tags: []
+      };
+    } else if (revealed && token.type === 'comment' && regendif.test(token.text)) {
+      revealed.raw = content.slice(revealed.start, token.end);
+      delete revealed.start;
+      last.groups.push(revealed);
+      revealed = null;
+    } else if (revealed && token.type === 'tag') {
+      revealed.tags.push(token);
+    } else if (last && token.type === 'tag') {
+      addAsset(last, token);
     }
   });
 
+  if (last) {
+    unclosed(last);
+  }
+
   return sections;
 };
 
+//
+// Returns the furnished attributes (name -> value) serialized, except the ones
+// +skip+ tells to leave out
+//
+var serializeAttributes = function (attributes, skip) {
+  return Object.keys(attributes || {}).filter(function (name) {
+    return !skip(name);
+  }).map(function (name) {
+    var value = attributes[name];
+    return ' ' + name + (value === null ? '' : '="' + value.replace(/"/g, '&quot;') + '"');
+  }).join('');
+};
+
 //
 // HTMLProcessor takes care, and processes HTML files.
 // It is given:
@@ -108,17 +417,142 @@ var getBlocks = function (dir, content) {
 //   - the content of the file to consider
 //   - a file replacement locator
 //   - an optional log callback that will be called as soon as there's something to log
+//   - an optional hash of options:
+//     - dest: the path the processed content is written to, references being resolved
+//             from its location (default: the filepath of the file to consider)
+//     - blockReplacements: replacements of the blocks, by type, completing or overriding
+//                          HTMLProcessor.blockReplacements
+//     - fileExists: the function telling whether a file exists, used to resolve the assets
+//                   of blocks having a search path (default: fs.existsSync)
+//     - readFile: the function returning the content of a file, used to inline the
+//                 target of inline-css and inline-js blocks and compute integrity
+//                 digests (default: fs.readFileSync)
+//     - integrity: the algorithm (sha256, sha384 or sha512, true meaning sha384) of the
+//                  integrity digest to add to the script and stylesheet tags referencing
+//                  a local file (default: none)
+//     - crossorigin: the value of the crossorigin attribute to add along the integrity one
+//     - patterns: additional patterns of the references to replace, as [regexp, description]
+//                 pairs, or a function returning the patterns to use from the default ones
+//                 (i.e. HTMLProcessor.patterns)
+//     - environment: the environment (e.g. production) processed, blocks restricted to
+//                    other environments being inactive
+//     - inactiveBlocks: what to do with inactive blocks, either 'remove' them or 'keep'
+//                       them as is (default: 'remove')
 //
-var HTMLProcessor = module.exports = function (filepath, content, revvedfinder, logcb) {
+var HTMLProcessor = module.exports = function (filepath, content, revvedfinder, logcb, options) {
+  options = options || {};
+  this.blockReplacements = {};
+  [HTMLProcessor.blockReplacements, options.blockReplacements || {}].forEach(function (replacements) {
+    Object.keys(replacements).forEach(function (type) {
+      this.blockReplacements[type] = replacements[type];
+    }, this);
+  }, this);
   this.filepath = filepath;
-  this.relativePath = path.relative(process.cwd(), path.dirname(filepath));
+  this.dest = options.dest || filepath;
+  this.environment = options.environment || null;
+  this.inactiveBlocks = options.inactiveBlocks || 'remove';
+  this.relativePath = path.relative(process.cwd(), path.dirname(this.dest));
   this.content = content;
   this.revvedfinder = revvedfinder;
   this.linefeed = /\r\n/g.test(content) ? '\r\n' : '\n';
-  this.blocks = getBlocks(this.relativePath, this.content);
+  this.fileExists = options.fileExists || fs.existsSync;
+  // what is wrong with the blocks, e.g. blocks never closed
+  this.problems = [];
+  this.blocks = getBlocks(this.relativePath, this.content, this.fileExists, this.problems);
+  this.readFile = options.readFile || fs.readFileSync;
+  this.integrity = options.integrity === true ? 'sha384' : options.integrity || null;
+  if (this.integrity && HTMLProcessor.integrityAlgorithms.indexOf(this.integrity) === -1) {
+    throw new Error('Unsupported integrity algorithm "' + this.integrity + '" (expected one of ' +
+      HTMLProcessor.integrityAlgorithms.join(', ') + ')');
+  }
+  this.crossorigin = options.crossorigin || null;
+  // the content inlined by the blocks, which is not to go through the patterns
+  this.inlinedContents = [];
+  this.patterns = typeof options.patterns === 'function' ? options.patterns(HTMLProcessor.patterns) :
+    HTMLProcessor.patterns.concat(options.patterns || []);
   this.logcb = logcb || function () {};
+  // what has been done, i.e. the collapsed blocks and the references
+  // replaced by their revved version, already revved or left untouched
+  this.report = {
+    blocks: [],
+    replaced: [],
+    revved: [],
+    untouched: []
+  };
 };
 
+//
+// Algorithms browsers accept for Subresource Integrity digests
+//
+HTMLProcessor.integrityAlgorithms = ['sha256', 'sha384', 'sha512'];
+
+//
+// Replacement of the blocks, by type. A replacement is either a function returning
+// the markup for the furnished block, or a template where {{name}} is replaced by
+// the corresponding property of the block.
+// In both cases, the block dest is the path of the target from the processed file
+// (as to be referenced in the markup) and the block indentation is added to the
+// result, wrapped in the conditional comment of the block if any. Blocks of another
+// type are removed.
+// Templates can also use {{attrs}}, the block attributes serialized, except the ones
+// the template already sets.
+// Functions are called on the processor, with the block as found in the file (i.e.
+// with a dest from the cwd) as second argument.
+//
+HTMLProcessor.blockReplacements = {
+  css: '<link rel="stylesheet" href="{{dest}}"{{attrs}}>',
+  'css-concat': '<link rel="stylesheet" href="{{dest}}"{{attrs}}>',
+  js: '<script src="{{dest}}"{{attrs}}></script>',
+  'js-concat': '<script src="{{dest}}"{{attrs}}></script>',
+  'inline-css': function (target, block) {
+    var attrs = serializeAttributes(block.attributes, function (name) {
+      return name === 'rel';
+    });
+    return '<style' + attrs + '>' + this.inline(block, 'style') + '</style>';
+  },
+  'inline-js': function (target, block) {
+    return '<script' + serializeAttributes(block.attributes, function () {
+      return false;
+    }) + '>' + this.inline(block, 'script') + '</script>';
+  }
+};
+
+//
+// Patterns of the references to replace by their revved version, along what is
+// logged and optionally how to handle them:
+//   - integrity: whether the tags can get an integrity digest
+//   - baseUrl: whether the references are to be served from the baseUrl, false
+//              for links to pages (default: true)
+// The first group which matched in each (global) regexp is the reference, attribute
+// values being captured by a group per form (double-quoted, single-quoted, unquoted).
+//
+HTMLProcessor.patterns = [
+  [/<script[^\>]+src=(?:"([^"]+)"|'([^']+)'|([^\s"'=<>`]+))/gm,
+  'Update the HTML to reference our concat/min/revved script files',
+  { integrity: true }
+  ],
+  [/<link[^\>]+href=(?:"([^"]+)"|'([^']+)'|([^\s"'=<>`]+))/gm,
+  'Update the HTML with the new css filenames',
+  { integrity: true }
+  ],
+  [/<img[^\>]+src=(?:"([^"]+)"|'([^']+)'|([^\s"'=<>`]+))/gm,
+  'Update the HTML with the new img filenames'
+  ],
+  [/data-[A-Za-z0-9]*=(?:"([^"]+)"|'([^']+)'|([^\s"'=<>`]+))/gm,
+  'Update the HTML with the data tags'
+  ],
+  [/url\(\s*(?:"([^"]+)"|'([^']+)'|([^\s"'\)]+))\s*\)/gm,
+  'Update the HTML with background imgs, case there is some inline style'
+  ],
+  [/<a[^\>]+href=(?:"([^"]+)"|'([^']+)'|([^\s"'=<>`]+))/gm,
+  'Update the HTML with anchors images',
+  { baseUrl: false }
+  ],
+  [/<input[^\>]+src=(?:"([^"]+)"|'([^']+)'|([^\s"'=<>`]+))/gm,
+  'Update the HTML with reference in input'
+  ]
+];
+
 //
 // Calls the log callback function
 //
@@ -126,93 +560,301 @@ HTMLProcessor.prototype.log = function log(msg) {
   this.logcb(msg);
 };
 
+//
+// Returns what is wrong with the blocks, i.e. the blocks never closed and the sources
+// of the active blocks not found, as a list of problems sorted by the line they are found at:
+//
+//     { line: 12, message: 'scripts/foo.js of build:js scripts/app.js not found' }
+//
+HTMLProcessor.prototype.validate = function validate() {
+  var problems = this.problems.slice();
+
+  this.blocks.filter(this.isActive, this).forEach(function (block) {
+    block.src.filter(function (src) {
+      // RequireJS destination, to be built
+      return src !== block.dest && !this.fileExists(src);
+    }, this).forEach(function (src) {
+      problems.push({
+        line: block.line,
+        message: src + ' of build:' + block.type + ' ' + block.dest + ' not found'
+      });
+    });
+  }, this);
+
+  // by line, in the order found for a given line
+  return problems.map(function (problem, index) {
+    return { problem: problem, index: index };
+  }).sort(function (a, b) {
+    return a.problem.line - b.problem.line || a.index - b.index;
+  }).map(function (sorted) {
+    return sorted.problem;
+  });
+};
+
+//
+// Tells whether the furnished block applies to the processed environment, i.e. is
+// not restricted to other environments (e.g. env="production,staging") or
+// excluded from this one (e.g. env="!cordova")
+//
+HTMLProcessor.prototype.isActive = function isActive(block) {
+  var environment = this.environment;
+  var included = [];
+  var excluded = [];
+
+  (block.env || []).forEach(function (env) {
+    if (env.charAt(0) === '!') {
+      excluded.push(env.substr(1));
+    } else {
+      included.push(env);
+    }
+  });
+
+  return (!included.length || included.indexOf(environment) !== -1) && excluded.indexOf(environment) === -1;
+};
+
+//
+// Returns the content of the target of the furnished block, to be embedded in
+// a +tag+ (i.e. script or style) element:
+//   - its references are replaced by their revved version, as CSS or JS from the
+//     location of the target, and reported at the line of the block
+//   - the relative url() of a style are rebased to the location of the processed file
+//   - the sequences closing the element or opening a comment are escaped
+//
+HTMLProcessor.prototype.inline = function inline(block, tag) {
+  var self = this;
+  var content;
+
+  try {
+    content = this.readFile(block.dest);
+  } catch (err) {
+    throw new Error('Unable to inline "' + block.dest + '" (' + err.message + ')');
+  }
+
+  var Processor = tag === 'style' ? CSSProcessor : JSProcessor;
+  var proc = new Processor(block.dest, String(content), this.revvedfinder, this.logcb, { dest: block.dest });
+  content = proc.process();
+  ['replaced', 'revved', 'untouched'].forEach(function (kind) {
+    proc.report[kind].forEach(function (ref) {
+      ref.line = block.line;
+      self.report[kind].push(ref);
+    });
+  });
+
+  if (tag === 'style') {
+    content = content.replace(/url\(\s*(['"]?)([^'"\)]+)\1\s*\)/gm, function (match, quote, ref) {
+      if (!RevvedFinder.isLocal(ref) || ref.charAt(0) === '/') {
+        return match;
+      }
+      var rebased = path.relative(self.relativePath, path.join(path.dirname(block.dest), ref)).replace(/\\/g, '/');
+      return match.replace(ref, rebased);
+    });
+  }
+
+  content = content.replace(/\s+$/, '')
+    .replace(new RegExp('</(' + tag + ')', 'gi'), '<\\/$1')
+    .replace(/<!--/g, '<\\!--');
+  this.inlinedContents.push(content);
+
+  return content;
+};
+
+//
+// Returns the integrity digest (e.g. sha384-...) of the local file the furnished
+// reference points to, or null if there is none
+//
+HTMLProcessor.prototype.integrityOf = function integrityOf(ref) {
+  var filepath = RevvedFinder.isLocal(ref) && this.revvedfinder.resolve(ref, path.dirname(this.dest));
+
+  if (!filepath) {
+    return null;
+  }
+
+  return this.integrity + '-' + crypto.createHash(this.integrity).update(this.readFile(filepath)).digest('base64');
+};
+
 //
 // Return the string that will replace the furnished block
 //
 HTMLProcessor.prototype.replaceWith = function replaceWith(block) {
-  var result;
+  var replacement = this.blockReplacements[block.type];
+
+  if (!replacement) {
+    return '';
+  }
 
-  // Determine the relative path from the destination to the source
-  // file
+  // Determine the relative path from the processed file location to
+  // the block target
   var dest = path.relative(this.relativePath, block.dest);
 
+  // fix windows style paths. Dirty but works.
+  dest = dest.replace(/\\/g, '/');
+
   if (block.startFromRoot) {
     dest = '/' + dest;
   }
 
-  // fix windows style paths. Dirty but works.
-  dest = dest.replace('\\', '/');
+  // the block, as seen from the processed file
+  var target = {};
+  Object.keys(block).forEach(function (key) {
+    target[key] = block[key];
+  });
+  target.dest = dest;
 
-  if (block.type === 'css' || block.type === 'css-concat') {
-    result = block.indent + '<link rel="stylesheet" href="' + dest + '">';
-  } else if (block.type === 'js' || block.type === 'js-concat') {
-    result = block.indent + '<script src="' + dest + '"><\/script>';
+  var result;
+  if (typeof replacement === 'function') {
+    result = replacement.call(this, target, block);
   } else {
-    result = '';
+    target.attrs = serializeAttributes(block.attributes, function (name) {
+      return replacement.indexOf(' ' + name + '=') !== -1;
+    });
+    result = replacement.replace(/\{\{\s*([\w\-]+)\s*\}\}/g, function (match, name) {
+      return target[name] === undefined || target[name] === null ? '' : String(target[name]);
+    });
+  }
+
+  if (!result) {
+    return '';
+  }
+
+  // keep the conditional comment wrapping the block tags
+  if (block.conditional) {
+    result = block.conditional.revealed ?
+      '<!--[if ' + block.conditional.condition + ']><!-->' + result + '<!--<![endif]-->' :
+      '<!--[if ' + block.conditional.condition + ']>' + result + '<![endif]-->';
   }
-  return result;
+
+  // as well as the conditional comments left out of the block
+  return [result].concat(block.conditionals || []).map(function (markup) {
+    return block.indent + markup;
+  }).join(this.linefeed);
 };
 
 //
 // Replace blocks by their target
 //
 HTMLProcessor.prototype.replaceBlocks = function replaceBlocks() {
-  var result = this.content;
+  var result = '';
+  var last = 0;
+
+  // where the blocks have been collapsed, to keep track of the original line numbers
+  this.collapsed = [];
+  // where content has been inlined, to leave it out of the patterns
+  this.inlined = [];
 
   this.blocks.forEach(function (block) {
-    var blockLine = block.raw.join(this.linefeed);
-    result = result.replace(blockLine, this.replaceWith(block));
+    var active = this.isActive(block);
+    var inlinedCount = this.inlinedContents.length;
+    var replacement;
+
+    if (active) {
+      replacement = this.replaceWith(block);
+    } else {
+      replacement = this.inactiveBlocks === 'keep' ? this.content.slice(block.start, block.end) : '';
+    }
+
+    result += this.content.slice(last, block.start);
+    var from = 0;
+    this.inlinedContents.slice(inlinedCount).forEach(function (inlined) {
+      var start = replacement.indexOf(inlined, from);
+      if (start !== -1) {
+        this.inlined.push({ start: result.length + start, end: result.length + start + inlined.length });
+        from = start + inlined.length;
+      }
+    }, this);
+    this.collapsed.push({
+      line: lineOf(result, result.length),
+      removed: block.raw.length - replacement.split('\n').length
+    });
+    result += replacement;
+    last = block.end;
+
+    var entry = {
+      type: block.type,
+      dest: block.dest,
+      src: block.src,
+      replacement: replacement
+    };
+    if (!active) {
+      entry.skipped = true;
+    }
+    this.report.blocks.push(entry);
   }, this);
 
-  return result;
+  return result + this.content.slice(last);
+};
+
+//
+// Returns the line number, in the original content, of the furnished line of
+// the content where blocks have been collapsed
+//
+HTMLProcessor.prototype.originalLine = function originalLine(line) {
+  return (this.collapsed || []).reduce(function (original, c) {
+    return c.line < line ? original + c.removed : original;
+  }, line);
 };
 
 //
 // Replace reference to scripts, css, images, .. in +lines+ with their revved version
 // If +lines+ is not furnished used instead the cached version (i.e. stored at constructor time)
+// The content inlined when +lines+ have been obtained from replaceBlocks is left untouched,
+// its references having been replaced already.
 //
 HTMLProcessor.prototype.replaceWithRevved = function replaceWithRevved(lines) {
     // Replace script sources
     var self = this;
     var content = lines || this.content;
-    var regexps = [
-      /*jshint regexp:false */
-      [/<script.+src=['"]([^"']+)["'][\/>]?><[\\]?\/script>/gm,
-      'Update the HTML to reference our concat/min/revved script files'
-      ],
-      [/<link[^\>]+href=['"]([^"']+)["']/gm,
-      'Update the HTML with the new css filenames'
-      ],
-      [/<img[^\>]+src=['"]([^"']+)["']/gm,
-      'Update the HTML with the new img filenames'
-      ],
-      [/data-[A-Za-z0-9]*=['"]([^"']+)["']/gm,
-      'Update the HTML with the data tags'
-      ],
-      [/url\(\s*['"]([^"']+)["']\s*\)/gm,
-      'Update the HTML with background imgs, case there is some inline style'
-      ],
-      [/<a[^\>]+href=['"]([^"']+)["']/gm,
-      'Update the HTML with anchors images'
-      ],
-      [/<input[^\>]+src=['"]([^"']+)["']/gm,
-      'Update the HTML with reference in input'
-      ]
-    ];
+    var inlined = (lines && this.inlined || []).map(function (range) {
+      return { start: range.start, end: range.end };
+    });
 
     // Replace reference to script with the actual name of the revved script
-    regexps.forEach(function (rxl) {
+    this.patterns.forEach(function (rxl) {
+      // how the replacements moved what follows them
+      var shifts = [];
       self.log(rxl[1]);
-      content = content.replace(rxl[0], function (match, src) {
-        // Consider reference from site root
-        var file = self.revvedfinder.find(src, path.dirname(self.filepath));
-        var res = match.replace(src, file);
+      content = content.replace(rxl[0], function (match) {
+        var groups = Array.prototype.slice.call(arguments, 1);
+        var string = groups.pop();
+        var offset = groups.pop();
+        // the reference is the first group which matched
+        var src = groups.filter(function (group) {
+          return group !== undefined;
+        })[0];
+        var isInlined = inlined.some(function (range) {
+          return offset >= range.start && offset < range.end;
+        });
+        if (!src || isInlined) {
+          return match;
+        }
+        var flags = rxl[2] || {};
+        var line = self.originalLine(lineOf(string, offset));
+        // pages are not served from the base URL
+        var revved = self.revvedfinder.replace(self, match, src, line, flags.baseUrl);
+        var res = revved.match;
 
-        if (src !== file) {
-          self.log(match + ' changed to ' + res);
+        // add the integrity digest of the file to the script and stylesheet tags
+        var tag = string.slice(offset, string.indexOf('>', offset) + 1);
+        if (self.integrity && flags.integrity && !/\sintegrity=/i.test(tag) &&
+            (/^<script/i.test(tag) || /\srel=['"]?stylesheet/i.test(tag))) {
+          var integrity = self.integrityOf(revved.file);
+          if (integrity) {
+            res += ' integrity="' + integrity + '"';
+            if (self.crossorigin && !/\scrossorigin/i.test(tag)) {
+              res += ' crossorigin="' + self.crossorigin + '"';
+            }
+          }
         }
+        shifts.push({ offset: offset, delta: res.length - match.length });
         return res;
       });
+      inlined.forEach(function (range) {
+        shifts.forEach(function (shift) {
+          if (shift.offset < range.start) {
+            range.start += shift.delta;
+            range.end += shift.delta;
+          }
+        });
+      });
     });
 
     return content;
@@ -0,0 +1,180 @@
+'use strict';
+
+// Elements whose content is raw text, i.e. not to be looked into for tags
+var rawTextElements = ['script', 'style', 'textarea', 'title'];
+
+//
+// Returns the match of the global regexp +re+ starting exactly at +index+ in
+// +content+, if any
+//
+var matchAt = function (re, content, index) {
+  re.lastIndex = index;
+  var match = re.exec(content);
+  return match && match.index === index ? match : null;
+};
+
+//
+// Parses the attributes of the tag starting at +start+ (i.e. right after its name)
+// Returns the index right after the tag end, and fills +tag+ with the attributes found.
+// Attribute values can be quoted (spanning several lines) or unquoted.
+//
+var parseAttributes = function (content, start, tag) {
+  var i = start;
+  var len = content.length;
+
+  while (i < len) {
+    // skip whitespaces
+    while (i < len && /\s/.test(content[i])) {
+      i++;
+    }
+
+    if (content[i] === '>') {
+      return i + 1;
+    }
+
+    if (content[i] === '/' && content[i + 1] === '>') {
+      tag.selfClosing = true;
+      return i + 2;
+    }
+
+    var nameStart = i;
+    while (i < len && !/[\s"'>\/=]/.test(content[i])) {
+      i++;
+    }
+
+    if (i === nameStart) {
+      // stray character, e.g. a lonely quote or slash
+      i++;
+      continue;
+    }
+
+    var attr = {
+      name: content.slice(nameStart, i).toLowerCase(),
+      value: null,
+      start: nameStart
+    };
+
+    var j = i;
+    while (j < len && /\s/.test(content[j])) {
+      j++;
+    }
+
+    if (content[j] === '=') {
+      j++;
+      while (j < len && /\s/.test(content[j])) {
+        j++;
+      }
+
+      var quote = content[j];
+      if (quote === '"' || quote === '\'') {
+        var close = content.indexOf(quote, j + 1);
+        close = close === -1 ? len : close;
+        attr.valueStart = j + 1;
+        attr.valueEnd = close;
+        i = Math.min(close + 1, len);
+      } else {
+        attr.valueStart = j;
+        while (j < len && !/[\s>]/.test(content[j])) {
+          j++;
+        }
+        attr.valueEnd = j;
+        i = j;
+      }
+      attr.value = content.slice(attr.valueStart, attr.valueEnd);
+    }
+
+    attr.end = i;
+    tag.attributes.push(attr);
+    if (!tag.attrs.hasOwnProperty(attr.name)) {
+      tag.attrs[attr.name] = attr.value;
+    }
+  }
+
+  return len;
+};
+
+//
+// Tolerant HTML tokenizer, only interested in tags and comments.
+// Returns the list of tokens found in +content+, each of them having the
+// offsets (+start+ and +end+, exclusive) it was found at:
+//
+//     { type: 'comment', text: ' build:js foo.js ', start: 0, end: 24 }
+//     { type: 'tag', name: 'script', attrs: { src: 'foo.js' }, attributes: [...], selfClosing: false, start: 25, end: 47 }
+//     { type: 'endtag', name: 'script', start: 47, end: 56 }
+//
+// where +attributes+ lists the attributes in order, with the offsets of their
+// name (+start+, +end+) and value (+valueStart+, +valueEnd+).
+// Text, doctype and processing instructions are skipped, as well as the content
+// of raw text elements (e.g. script, style).
+//
+module.exports = function tokenize(content) {
+  var tokens = [];
+  var len = content.length;
+  var i = 0;
+
+  while (i < len) {
+    var lt = content.indexOf('<', i);
+    if (lt === -1) {
+      break;
+    }
+
+    var end;
+    var next = content[lt + 1];
+
+    if (content.substr(lt, 4) === '<!--') {
+      var textEnd = content.indexOf('-->', lt + 4);
+      textEnd = textEnd === -1 ? len : textEnd;
+      end = Math.min(textEnd + 3, len);
+      tokens.push({
+        type: 'comment',
+        text: content.slice(lt + 4, textEnd),
+        start: lt,
+        end: end
+      });
+      i = end;
+    } else if (next === '!' || next === '?') {
+      // doctype, cdata, processing instruction
+      end = content.indexOf('>', lt);
+      i = end === -1 ? len : end + 1;
+    } else if (next === '/') {
+      var endtag = matchAt(/<\/([a-zA-Z][\w:\-]*)[^>]*>/g, content, lt);
+      if (endtag) {
+        tokens.push({
+          type: 'endtag',
+          name: endtag[1].toLowerCase(),
+          start: lt,
+          end: lt + endtag[0].length
+        });
+        i = lt + endtag[0].length;
+      } else {
+        i = lt + 1;
+      }
+    } else if (/[a-zA-Z]/.test(next || '')) {
+      var name = matchAt(/[a-zA-Z][\w:\-]*/g, content, lt + 1)[0];
+      var tag = {
+        type: 'tag',
+        name: name.toLowerCase(),
+        attrs: {},
+        attributes: [],
+        selfClosing: false,
+        start: lt
+      };
+      tag.end = parseAttributes(content, lt + 1 + name.length, tag);
+      tokens.push(tag);
+      i = tag.end;
+
+      // do not look for tags inside raw text elements
+      if (rawTextElements.indexOf(tag.name) !== -1 && !tag.selfClosing) {
+        var closeRe = new RegExp('<\\/' + tag.name + '[\\s>]', 'ig');
+        closeRe.lastIndex = i;
+        var close = closeRe.exec(content);
+        i = close ? close.index : len;
+      }
+    } else {
+      // a lonely <, e.g. in text or templating
+      i = lt + 1;
+    }
+  }
+
+  return tokens;
+};
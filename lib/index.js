@@ -0,0 +1,191 @@
+'use strict';
+var fs = require('fs');
+var path = require('path');
+var HTMLProcessor = require('./htmlprocessor');
+var CSSProcessor = require('./cssprocessor');
+var JSProcessor = require('./jsprocessor');
+var RevvedFinder = require('./revvedfinder');
+var ConfigWriter = require('./configwriter');
+var Revver = require('./revver');
+
+//
+// Node API, to use the blocks parsing, the config generation and the references
+// rewriting outside of grunt, for example:
+//
+//     var usemin = require('grunt-usemin/lib');
+//     var blocks = usemin.getBlocks('app/index.html', html);
+//     var config = usemin.prepare(['app/index.html'], { flow: { js: ['concat', 'uglifyjs'] } });
+//     var result = usemin.process('dist/index.html', html, { manifest: 'dist/manifest.json' });
+//
+// Processing several files, share a revved version locator between the calls, so
+// that the disk is walked once:
+//
+//     var finder = usemin.revvedFinder({ assetsDirs: ['dist'] });
+//     var result = usemin.process('dist/index.html', html, { revvedfinder: finder });
+//     // once the files on disk have changed
+//     finder.invalidate();
+//
+// The functions accept, along their own options, an optional:
+//   - fs: the file system module used to read the files and look at the disk
+//         (default: fs). Only existsSync, statSync, lstatSync, readFileSync
+//         and readdirSync are used.
+//   - log: a function called with what is done (default: none)
+//
+
+// Processors, by type
+var processors = {
+  css: CSSProcessor,
+  html: HTMLProcessor,
+  js: JSProcessor
+};
+
+//
+// Returns the list of the files below +dir+, as grunt.file.expand('**/*') would,
+// walking the disk through the furnished file system: dot files and directories
+// (e.g. .git) are skipped, and symbolic links to directories are not followed
+//
+var walk = function (fs, dir) {
+  return fs.readdirSync(dir || '.').filter(function (name) {
+    return name[0] !== '.';
+  }).reduce(function (files, name) {
+    var filepath = dir ? path.join(dir, name) : name;
+    files.push(filepath);
+    return fs.lstatSync(filepath).isDirectory() ? files.concat(walk(fs, filepath)) : files;
+  }, []);
+};
+
+//
+// Returns the processor options, from the furnished API options
+//
+var processorOptions = function (options) {
+  var fs = options.fs;
+  var result = {
+    fileExists: function (filepath) {
+      return fs.existsSync(filepath);
+    },
+    readFile: function (filepath) {
+      return fs.readFileSync(filepath);
+    }
+  };
+
+  Object.keys(options).forEach(function (name) {
+    result[name] = options[name];
+  });
+
+  return result;
+};
+
+//
+// Returns the furnished options completed by the defaults
+//
+var defaults = function (options) {
+  var result = {
+    fs: fs,
+    log: function () {}
+  };
+
+  Object.keys(options || {}).forEach(function (name) {
+    result[name] = options[name];
+  });
+
+  return result;
+};
+
+//
+// Returns the build blocks of the furnished HTML content, +filepath+ being the
+// path of the file (from the cwd) the paths of the blocks are relative to.
+// Options: fs and the HTMLProcessor ones (e.g. dest).
+//
+exports.getBlocks = function getBlocks(filepath, content, options) {
+  options = defaults(options);
+  return new HTMLProcessor(filepath, content, null, options.log, processorOptions(options)).blocks;
+};
+
+//
+// Returns the config of the tasks to run for the blocks of the furnished HTML files,
+// indexed by config key (e.g. concat, uglify) as useminPrepare would set it.
+// Options: fs, log and the ConfigWriter ones (i.e. flow, steps, sourceMap), as
+// well as environment.
+//
+exports.prepare = function prepare(files, options) {
+  options = defaults(options);
+  var writer = new ConfigWriter(options);
+  var config = {};
+
+  [].concat(files).forEach(function (filepath) {
+    var content = String(options.fs.readFileSync(filepath));
+    var proc = new HTMLProcessor(filepath, content, null, options.log, processorOptions(options));
+
+    proc.blocks.filter(proc.isActive, proc).forEach(function (block) {
+      options.log('Found a block: ' + block.type + ' ' + block.dest);
+      writer.process(block, config);
+    });
+  });
+
+  return config;
+};
+
+//
+// Returns the revved version locator used by process, looking at the disk through
+// the furnished fs. It indexes the files on disk on first use, until its invalidate
+// method is called.
+// Options: fs and the RevvedFinder ones (i.e. manifest, manifestBase, revPattern,
+// assetsDirs, root, baseUrl).
+//
+exports.revvedFinder = function revvedFinder(options) {
+  options = defaults(options);
+  var manifest = options.manifest;
+  if (typeof manifest === 'string') {
+    manifest = JSON.parse(options.fs.readFileSync(manifest, 'utf8'));
+  }
+
+  return new RevvedFinder(function () {
+    return walk(options.fs);
+  }, {
+    manifest: manifest,
+    manifestBase: options.manifestBase,
+    pattern: options.revPattern,
+    assetsDirs: options.assetsDirs,
+    root: options.root,
+    baseUrl: options.baseUrl,
+    fs: options.fs
+  });
+};
+
+//
+// Returns the furnished content, of a file written at +filepath+, once its blocks
+// collapsed (for HTML) and its references replaced by their revved version,
+// along the report of what has been done:
+//
+//     { content: '...', report: { replaced: [...], revved: [...], untouched: [...] } }
+//
+// Options: fs, log, type (html, css or js, default: guessed from the extension),
+// revvedfinder (the revved version locator to use, e.g. shared between calls,
+// default: a new one built from the options by revvedFinder), the RevvedFinder
+// ones (i.e. manifest, manifestBase, revPattern, assetsDirs, root, baseUrl) and
+// the processor ones (e.g. blockReplacements, patterns).
+//
+exports.process = function process(filepath, content, options) {
+  options = defaults(options);
+  var type = options.type || path.extname(filepath).substr(1).toLowerCase();
+  var Processor = processors[type === 'htm' ? 'html' : type];
+
+  if (!Processor) {
+    throw new Error('Unknown file type "' + type + '"');
+  }
+
+  var revvedfinder = options.revvedfinder || exports.revvedFinder(options);
+  var proc = new Processor(filepath, content, revvedfinder, options.log, processorOptions(options));
+
+  return {
+    content: proc.process(),
+    report: proc.report
+  };
+};
+
+exports.HTMLProcessor = HTMLProcessor;
+exports.CSSProcessor = CSSProcessor;
+exports.JSProcessor = JSProcessor;
+exports.RevvedFinder = RevvedFinder;
+exports.ConfigWriter = ConfigWriter;
+exports.Revver = Revver;
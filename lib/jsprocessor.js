@@ -0,0 +1,42 @@
+'use strict';
+var util = require('util');
+var AssetProcessor = require('./assetprocessor');
+
+//
+// JSProcessor takes care, and processes JS files, which is:
+//  - replace the source map reference by its revved version
+//  - replace the string literals referencing assets by their revved version
+//  - replace the references found by the additional patterns
+// It is given what AssetProcessor is, its default patterns being JSProcessor.patterns
+// and the one of the string literals, along the option:
+//   - extensions: the extensions of the assets referenced by string literals to
+//                 look for (default: JSProcessor.extensions)
+//
+var JSProcessor = module.exports = function (filepath, content, revvedfinder, logcb, options) {
+  var extensions = (options && options.extensions || JSProcessor.extensions).map(function (ext) {
+    return ext.replace(/[^\w]/g, '\\$&');
+  }).join('|');
+  var defaults = JSProcessor.patterns.concat([
+    [new RegExp('[\'"]([^\'"\\s]+\\.(?:' + extensions + '))(?=[\'"])', 'gm'),
+    'Update the JS with the new asset filenames'
+    ]
+  ]);
+  AssetProcessor.call(this, filepath, content, revvedfinder, logcb, options, defaults);
+};
+
+util.inherits(JSProcessor, AssetProcessor);
+
+//
+// Extensions of the assets referenced by string literals, e.g. 'images/logo.png'
+//
+JSProcessor.extensions = ['png', 'jpg', 'jpeg', 'gif', 'svg', 'webp', 'ico', 'html', 'json', 'woff', 'woff2', 'ttf', 'eot'];
+
+//
+// Patterns of the references to replace by their revved version, along what is
+// logged. The first group captured by each (global) regexp is the reference.
+//
+JSProcessor.patterns = [
+  [/\/\/[#@]\s*sourceMappingURL=([^\s'"]+)/gm,
+  'Update the JS with the new source map filename'
+  ]
+];
@@ -1,16 +1,284 @@
 'use strict';
+var crypto = require('crypto');
+var fs = require('fs');
 var path = require('path');
 
+// fix windows style paths
+var unixify = function (filepath) {
+  return filepath.replace(/\\/g, '/');
+};
+
 // Allow to find, on disk, the revved version of a furnished file, bellow a given
 // directory
 //
-// +base_dir+  : the base repository which will be the root for our search
 // +expandfn+ : a function that will return a list of file matching a given pattern (for example grunt.file.expand)
+// +options+  : an optional hash of options:
+//   - manifest: a map of the original files to their revved version (or the path of a JSON
+//               file holding it), both expressed from the cwd. When furnished, it is used
+//               instead of looking on disk.
+//   - manifestBase: the directory (from the cwd) the paths of the manifest are relative
+//                   to, e.g. the output directory of the tool that wrote it (default: the cwd)
+//   - pattern: the revving naming scheme, either the name of one of RevvedFinder.patterns,
+//              a regexp whose captured groups, once joined, give the original file name, or a
+//              function returning the original file name(s) for the furnished file name
+//              (default: 'digits')
+//   - assetsDirs: the directories to search, in order, for the referenced files
+//                 (default: the directory of the referencing file)
+//   - root: the directory absolute references (i.e. starting with /) are relative to
+//           (default: same as relative references)
+//   - fs: the file system module used to look at the files on disk (default: fs)
+//   - baseUrl: the URL (e.g. of a CDN) to prefix the references to local files with, or
+//              a function returning it, or the whole URL, for the furnished path of the
+//              file from the root (default: none)
 //
-var RevvedFinder = module.exports = function (expandfn) {
+var RevvedFinder = module.exports = function (expandfn, options) {
+    options = options || {};
     this.expandfn = expandfn;
+    this.manifest = options.manifest ? RevvedFinder.loadManifest(options.manifest, options.manifestBase) : null;
+    this.pattern = RevvedFinder.loadPattern(options.pattern || 'digits');
+    this.query = options.pattern === 'query';
+    this.assetsDirs = options.assetsDirs ? [].concat(options.assetsDirs) : null;
+    this.root = options.root || null;
+    this.baseUrl = options.baseUrl || null;
+    this.fs = options.fs || fs;
+    this.index = null;
+    this.revved = null;
   };
 
+//
+// Known revving naming schemes
+//
+RevvedFinder.patterns = {
+  // <digits>.<name>, possibly following any other prefix, e.g. 2123.pic.png
+  digits: function (basename) {
+    var originals = [];
+    for (var i = 0; i < basename.length - 2; i++) {
+      if (/\d/.test(basename[i]) && basename[i + 1] === '.') {
+        originals.push(basename.substr(i + 2));
+      }
+    }
+    return originals;
+  },
+  // <hash>.<name>, e.g. a1b2c3d4.pic.png
+  hashPrefix: /^[0-9a-f]{8,}\.([^\/]+)$/i,
+  // <name>.<hash>.<ext>, e.g. pic.a1b2c3d4.png
+  hashSuffix: /^([^\/]+)\.[0-9a-f]{8,}(\.[^.\/]+)$/i,
+  // files are not renamed, references get a query string instead, e.g. pic.png?v=a1b2c3d4
+  query: function (basename) {
+    return basename;
+  }
+};
+
+//
+// Returns a function giving the original file name(s) of a file name, following
+// the furnished pattern (see RevvedFinder constructor)
+//
+RevvedFinder.loadPattern = function loadPattern(pattern) {
+  if (typeof pattern === 'string') {
+    if (!RevvedFinder.patterns.hasOwnProperty(pattern)) {
+      throw new Error('Unknown revving pattern "' + pattern + '"');
+    }
+    pattern = RevvedFinder.patterns[pattern];
+  }
+
+  if (pattern instanceof RegExp) {
+    var re = pattern;
+    pattern = function (basename) {
+      var match = basename.match(re);
+      return match ? match.slice(1).join('') : null;
+    };
+  }
+
+  return pattern;
+};
+
+//
+// Tells whether the furnished reference is to a local file, i.e. is not external,
+// the root, an anchor, using another scheme (mailto:, data:, ..) or coming from templating
+//
+RevvedFinder.isLocal = function isLocal(ofile) {
+  return !!ofile && !/\/\/|^\/$|^#|^[a-z][a-z0-9+.\-]*:|<%|\{\{/i.test(ofile);
+};
+
+//
+// Returns the furnished manifest (or the one read from the furnished JSON file)
+// with normalized, unix like, paths from the cwd, the ones of the manifest being
+// relative to +base+ when furnished
+//
+RevvedFinder.loadManifest = function loadManifest(manifest, base) {
+  var normalized = {};
+
+  if (typeof manifest === 'string') {
+    manifest = JSON.parse(fs.readFileSync(manifest, 'utf8'));
+  }
+
+  Object.keys(manifest).forEach(function (file) {
+    normalized[unixify(path.join(base || '.', file))] = unixify(path.join(base || '.', manifest[file]));
+  });
+
+  return normalized;
+};
+
+//
+// Returns the index of the revved files found on disk, built on first use: for
+// each directory, the path of the revved files indexed by the name of their
+// original file. For example images/2123.pic.png is indexed as:
+//
+//     { 'images': { 'pic.png': 'images/2123.pic.png' } }
+//
+// The same finder (and thus index) is meant to be shared by all the processed
+// files, call +invalidate+ when the files on disk have changed.
+//
+RevvedFinder.prototype.getIndex = function getIndex() {
+  if (this.index) {
+    return this.index;
+  }
+
+  var index = this.index = {};
+  var pattern = this.pattern;
+
+  this.expandfn('**/*').forEach(function (f) {
+    var dirname = path.dirname(f);
+    var files = index[dirname] = index[dirname] || {};
+
+    [].concat(pattern(path.basename(f)) || []).forEach(function (original) {
+      if (!files.hasOwnProperty(original)) {
+        files[original] = f;
+      }
+    });
+  });
+
+  return index;
+};
+
+//
+// Drop the index of the files on disk, so that it is rebuilt on next lookup
+//
+RevvedFinder.prototype.invalidate = function invalidate() {
+  this.index = null;
+  this.revved = null;
+};
+
+//
+// Returns the path (from the cwd) of the revved version of +basename+ which original
+// file is in +dirname+, if any
+//
+RevvedFinder.prototype.lookup = function lookup(dirname, basename) {
+  if (this.manifest) {
+    // the manifest is the only source of truth when furnished
+    return this.manifest[unixify(path.join(dirname, basename))];
+  }
+
+  // Basically: starting at the current cwd we're looking for all the
+  // files that are ending with the filename we've been asked to looked a revved version for,
+  // in the very directory of the original file (to avoid clashes when there's a images/2123.test.png and
+  // a images/misc/4567.test.png for example)
+  var files = this.getIndex()[dirname];
+  return files && files.hasOwnProperty(basename) ? files[basename] : undefined;
+};
+
+//
+// Tells whether the furnished reference, relative to +basedir+, already points to a
+// revved file, i.e. a file of the manifest values or, without manifest, a file on disk
+// named after the revving pattern
+//
+RevvedFinder.prototype.isRevved = function isRevved(ofile, basedir) {
+  if (!this.revved) {
+    var revved = this.revved = {};
+    var index = this.manifest ? { '.': this.manifest } : this.query ? {} : this.getIndex();
+    Object.keys(index).forEach(function (dirname) {
+      Object.keys(index[dirname]).forEach(function (original) {
+        revved[unixify(path.normalize(index[dirname][original]))] = true;
+      });
+    });
+  }
+
+  var startAtRoot = ofile.charAt(0) === '/';
+  var file = ofile.split(/[?#]/)[0].replace(/^\//, '');
+
+  return this.searchDirs(startAtRoot, basedir).some(function (searchDir) {
+    return this.revved.hasOwnProperty(unixify(path.join(searchDir, file)));
+  }, this);
+};
+
+//
+// Returns the directories to look into for a reference (from the root when
+// +startAtRoot+), by default the one of the referencing file, +basedir+
+//
+RevvedFinder.prototype.searchDirs = function searchDirs(startAtRoot, basedir) {
+  return startAtRoot && this.root ? [this.root] : this.assetsDirs || [basedir];
+};
+
+//
+// Returns the path (from the cwd) of the file on disk the furnished reference,
+// relative to +basedir+, points to, or null if there is none
+//
+RevvedFinder.prototype.resolve = function resolve(ofile, basedir) {
+  var startAtRoot = ofile.charAt(0) === '/';
+  var file = ofile.split(/[?#]/)[0].replace(/^\//, '');
+  var fs = this.fs;
+
+  return this.searchDirs(startAtRoot, basedir).map(function (searchDir) {
+    return path.join(searchDir, file);
+  }).filter(function (filepath) {
+    return fs.existsSync(filepath) && fs.statSync(filepath).isFile();
+  })[0] || null;
+};
+
+//
+// Returns the URL of the furnished reference (relative to +basedir+) once prefixed
+// with the base URL, i.e. its path from the root (or the cwd) appended to it.
+// References not pointing to a local file are returned as is.
+//
+RevvedFinder.prototype.toUrl = function toUrl(ofile, basedir) {
+  var filepath = this.baseUrl && RevvedFinder.isLocal(ofile) && this.resolve(ofile, basedir);
+
+  if (!filepath) {
+    return ofile;
+  }
+
+  var file = unixify(path.relative(this.root || '.', filepath));
+  // keep the query string or hash of the reference
+  var suffix = ofile.substr(ofile.split(/[?#]/)[0].length);
+
+  if (typeof this.baseUrl === 'function') {
+    var url = this.baseUrl(file, ofile);
+    return url ? url + suffix : ofile;
+  }
+
+  return this.baseUrl.replace(/\/$/, '') + '/' + file + suffix;
+};
+
+//
+// Returns the furnished +match+ of the reference +ref+, found at +line+ of the file
+// handled by +processor+ (i.e. a CSS, HTML or JS processor), once the reference
+// replaced by its revved version, served from the base URL unless +baseUrl+ is
+// false. What has been done is logged, and recorded into the processor report
+// (as a reference replaced, already revved or left untouched). Returns the revved
+// file as well:
+//
+//     { match: 'url(images/2123.pic.png)', file: 'images/2123.pic.png' }
+//
+RevvedFinder.prototype.replace = function replace(processor, match, ref, line, baseUrl) {
+  var basedir = path.dirname(processor.dest);
+  // Consider reference from site root
+  var file = this.find(ref, basedir);
+  // served from elsewhere (e.g. a CDN) when asked to
+  var url = this.baseUrl && baseUrl !== false ? this.toUrl(file, basedir) : file;
+  var res = match.replace(ref, url);
+
+  if (ref !== file) {
+    processor.log(match + ' changed to ' + res);
+    processor.report.replaced.push({ from: ref, to: url, line: line });
+  } else if (RevvedFinder.isLocal(ref) && this.isRevved(ref, basedir)) {
+    processor.report.revved.push({ src: ref, line: line });
+  } else {
+    processor.report.untouched.push({ src: ref, line: line });
+  }
+
+  return { match: res, file: file };
+};
+
 //
 // Find revved version of file, relatively to the furnished +basedir+
 // Find a revved version of +ofile+ (i.e. a file which name is ending with +ofile+), relatively
@@ -50,19 +318,15 @@ RevvedFinder.prototype.find = function find(ofile, basedir) {
     var basename = path.basename(file);
     // The path (possibly relative) to the file we're the revved looking for
     var dirname = path.dirname(file);
-    // Normalized path from cwd to the file directory
-    var normalizedDirname = path.normalize([basedir, dirname].join('/'));
-
-    // Basically: starting at the current cwd we're looking for all the
-    // files that are ending with the filename we've been asked to looked a revved version for
-    // Once we found a couple of these files, we're filtering them out to be sure their path
-    // is matching the path of the original file (to avoid clashes when there's a images/2123.test.png and
-    // a images/misc/4567.test.png for example)
-    var filepaths = this.expandfn('**/*' + basename);
-    var re = new RegExp('\\d+\\.' + basename + '$');
-    var filepath = filepaths.filter(function (f) {
-        return f.match(re) && (normalizedDirname === path.dirname(f));
-      })[0];
+    var searchDirs = this.searchDirs(startAtRoot, basedir);
+    var searchDir, normalizedDirname, filepath;
+
+    for (var i = 0; i < searchDirs.length && !filepath; i++) {
+      searchDir = searchDirs[i];
+      // Normalized path from cwd to the file directory
+      normalizedDirname = path.normalize([searchDir, dirname].join('/'));
+      filepath = this.lookup(normalizedDirname, basename);
+    }
 
     // not a file in temp, skip it
     if (!filepath) {
@@ -70,6 +334,14 @@ RevvedFinder.prototype.find = function find(ofile, basedir) {
     }
 
     var filename = path.basename(filepath);
+    // the file is kept as is, only its reference changes
+    if (this.query) {
+      filename += '?v=' + crypto.createHash('md5').update(this.fs.readFileSync(filepath)).digest('hex').substr(0, 8);
+    }
+    // the revved version may live in another directory (when read from a manifest)
+    if (path.normalize(path.dirname(filepath)) !== normalizedDirname) {
+      dirname = unixify(path.relative(searchDir, path.dirname(filepath))) || '.';
+    }
     // handle the relative prefix (with always unix like path even on win32)
     if (dirname !== '.') {
       filename = [dirname, filename].join('/');
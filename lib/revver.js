@@ -0,0 +1,51 @@
+'use strict';
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+
+// fix windows style paths
+var unixify = function (filepath) {
+  return filepath.replace(/\\/g, '/');
+};
+
+//
+// Revver renames files after the hash of their content (i.e. <hash>.<name>),
+// recording the mapping of the original files to their revved version.
+// It is given an optional hash of options:
+//   - algorithm: the hash algorithm (default: md5)
+//   - length: the number of characters of the hash kept (default: 8)
+//
+var Revver = module.exports = function (options) {
+  options = options || {};
+  this.algorithm = options.algorithm || 'md5';
+  this.length = options.length || 8;
+  // original file -> revved file, both from the cwd
+  this.manifest = {};
+};
+
+//
+// Returns the hash of the furnished content
+//
+Revver.prototype.hash = function hash(content) {
+  return crypto.createHash(this.algorithm).update(content).digest('hex').substr(0, this.length);
+};
+
+//
+// Returns the path of the revved version of +filepath+, given its content
+//
+Revver.prototype.revvedPath = function revvedPath(filepath, content) {
+  return unixify(path.join(path.dirname(filepath), this.hash(content) + '.' + path.basename(filepath)));
+};
+
+//
+// Rename the furnished file after the hash of its content, and return the
+// path of its revved version
+//
+Revver.prototype.rev = function rev(filepath) {
+  var revved = this.revvedPath(filepath, fs.readFileSync(filepath));
+
+  fs.renameSync(filepath, revved);
+  this.manifest[unixify(path.normalize(filepath))] = revved;
+
+  return revved;
+};
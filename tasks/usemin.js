@@ -1,5 +1,7 @@
 'use strict';
+var path = require('path');
 var util = require('util');
+var diff = require('diff');
 
 var inspect = function (obj) {
   return util.inspect(obj, false, 4, true);
@@ -53,6 +55,25 @@ var inspect = function (obj) {
 // When using `type=js-concat` or `type=css-concat` the config for the concat task
 // is affected only.
 //
+// The steps run for each block type (its "flow") can be changed with the `flow`
+// option, for example to use uglify and cssmin instead of min and css:
+//
+//     useminPrepare: {
+//       options: {
+//         flow: { js: ['concat', 'uglifyjs'], css: ['concat', 'cssmin'] }
+//       },
+//       html: 'index.html'
+//     }
+//
+// Custom steps can be provided through the `steps` option, or registered with
+// `ConfigWriter.registerStep` (see lib/configwriter.js).
+//
+// With the `sourceMap` option, the concat, uglifyjs and cssmin steps are asked
+// to produce source maps, each one chained to the map of the previous step.
+//
+// Blocks can be restricted to some environments (e.g. `env=production`), only the
+// ones applying to the `environment` option being built.
+//
 // The task also handles use of RequireJS, for the scenario where you specify
 // the main entry point for your application using the "data-main" attribute
 // as follows:
@@ -70,50 +91,166 @@ var inspect = function (obj) {
 module.exports = function (grunt) {
   var HTMLProcessor = require('../lib/htmlprocessor');
   var CSSProcessor = require('../lib/cssprocessor');
+  var JSProcessor = require('../lib/jsprocessor');
   var RevvedFinder = require('../lib/revvedfinder');
+  var ConfigWriter = require('../lib/configwriter');
+  var Revver = require('../lib/revver');
+  var order = require('../lib/depgraph');
+
+  // What is shared between the tasks of a run: the destinations of the blocks
+  // found by useminPrepare, along their type (e.g. { dest: 'scripts/app.js', type: 'js' }),
+  // and the files revved by useminRev (original file -> revved file), used by usemin
+  // unless a manifest is furnished
+  grunt.usemin = grunt.usemin || {
+    dests: [],
+    revved: {}
+  };
 
   grunt.registerMultiTask('usemin', 'Replaces references to non-minified scripts / stylesheets', function () {
     var processors = {
       css: CSSProcessor,
-      html: HTMLProcessor
+      html: HTMLProcessor,
+      js: JSProcessor
     };
+    var options = this.options();
     var name = this.target;
-    var data = this.data;
-    var files = grunt.file.expand(data);
+    // files are rewritten in place, unless a dest is furnished (compact format
+    // uses the target name as dest, hence only honor it for object data)
+    var inPlace = grunt.util.kindOf(this.data) !== 'object';
+    var files = [];
+    // source written to each dest, to catch the ones that would overwrite each other
+    var written = {};
 
-    files.map(grunt.file.read).forEach(function (content, i) {
-      var filepath = files[i];
+    this.files.forEach(function (f) {
+      f.src.forEach(function (filepath) {
+        var dest = filepath;
+        if (!inPlace && f.dest) {
+          // a directory when told so, whatever the number of files matched
+          var dir = /\/$/.test(f.dest) || grunt.file.isDir(f.dest);
+          dest = dir ? path.join(f.dest, path.basename(filepath)) : f.dest;
+        }
+        if (written.hasOwnProperty(dest)) {
+          grunt.fail.warn('Both ' + written[dest] + ' and ' + filepath + ' would be written to ' + dest +
+            ', use expand to keep their paths');
+          return;
+        }
+        written[dest] = filepath;
+        files.push({ src: filepath, dest: dest });
+      });
+    });
 
-      grunt.log.subhead('usemin:' + name + ' - ' + filepath);
+    // base URL per glob, the first one matching the file path being used
+    var baseUrl = options.baseUrl;
+    if (grunt.util.kindOf(baseUrl) === 'object') {
+      var baseUrls = baseUrl;
+      baseUrl = function (file) {
+        var pattern = Object.keys(baseUrls).filter(function (pattern) {
+          return grunt.file.isMatch({ matchBase: true }, pattern, file);
+        })[0];
+        return pattern ? baseUrls[pattern].replace(/\/$/, '') + '/' + file : null;
+      };
+    }
 
-      // make sure to convert back into utf8, `file.read` when used as a
-      // forEach handler will take additional arguments, and thus trigger the
-      // raw buffer read
-      content = content.toString();
+    // Our revved version locator, shared by all the files
+    var revvedfinder = new RevvedFinder(grunt.file.expand, {
+      manifest: options.manifest || (Object.keys(grunt.usemin.revved).length ? grunt.usemin.revved : null),
+      manifestBase: options.manifest && options.manifestBase,
+      pattern: options.revPattern,
+      assetsDirs: options.assetsDirs,
+      root: options.root,
+      baseUrl: baseUrl
+    });
 
-      // Our revved version locator
-      var revvedfinder = new RevvedFinder(grunt.file.expand);
+    // what has been done on each file, when asked for a report
+    var report = {};
+    // local references not resolved to a revved file, when asked to check them
+    var missing = [];
+    // by default, every reference but the ones to documents, i.e. pages linked to
+    // (HTML files, directories and paths without extension) which are not revved
+    var missingInclude = options.missingInclude || ['**', '!*.{html,htm}', '!**/', '!**/*([^.])'];
+    var missingExclude = (options.missingExclude || []).map(function (pattern) {
+      return '!' + pattern;
+    });
+
+    files.forEach(function (file) {
+      var filepath = file.src;
+      var original = grunt.file.read(filepath);
+      var content = original;
 
-      // ext-specific directives handling and replacement of blocks
+      grunt.log.subhead('usemin:' + name + ' - ' + filepath + (file.dest !== filepath ? ' -> ' + file.dest : ''));
+
+      // ext-specific directives handling and replacement of blocks, paths being
+      // computed from the location of the file written
       var proc = new processors[name](filepath, content, revvedfinder, function (msg) {
         grunt.log.writeln(msg);
+      }, {
+        dest: file.dest,
+        blockReplacements: options.blockReplacements,
+        environment: options.environment,
+        inactiveBlocks: options.inactiveBlocks,
+        integrity: options.integrity,
+        crossorigin: options.crossorigin,
+        extensions: options.extensions,
+        patterns: options.patterns
       });
 
       content = proc.process();
-      // write the new content to disk
-      grunt.file.write(filepath, content);
+
+      report[filepath] = proc.report;
+      report[filepath].dest = file.dest;
+
+      if (options.warnOnMissing || options.failOnMissing) {
+        proc.report.untouched.forEach(function (ref) {
+          var location = filepath + ':' + ref.line + ': ' + ref.src;
+          var file = ref.src.replace(/^\//, '').split(/[?#]/)[0];
+          if (RevvedFinder.isLocal(ref.src) && missing.indexOf(location) === -1 &&
+              grunt.file.isMatch({ matchBase: true }, missingInclude.concat(missingExclude), file)) {
+            missing.push(location);
+          }
+        });
+      }
+
+      if (options.dryRun) {
+        // only show what would have been changed
+        grunt.log.writeln(diff.createPatch(file.dest, original, content, filepath, file.dest));
+      } else {
+        // write the new content to disk
+        grunt.file.write(file.dest, content);
+      }
     });
+
+    if (options.report) {
+      grunt.file.write(options.report, JSON.stringify(report, null, 2));
+      grunt.log.writeln('Report written to ' + options.report);
+    }
+
+    if (missing.length) {
+      var msg = missing.length + ' reference(s) not resolved to a revved file:\n    ' + missing.join('\n    ');
+      if (options.failOnMissing) {
+        grunt.fail.warn(msg);
+      } else {
+        grunt.log.warn(msg);
+      }
+    }
   });
 
   grunt.registerMultiTask('useminPrepare', 'Using HTML markup as the primary source of information', function () {
+    var options = this.options();
     // collect files
-    var files = grunt.file.expand({filter: 'isFile'}, this.data);
+    var files = this.filesSrc.filter(function (filepath) {
+      return grunt.file.isFile(filepath);
+    });
 
-    // concat / min / css / requirejs config
-    var concat = grunt.config('concat') || {};
-    var min = grunt.config('min') || {};
-    var css = grunt.config('css') || {};
-    var requirejs = grunt.config('requirejs') || {};
+    // tasks config to update, following the flow of each block type
+    var writer = new ConfigWriter(options);
+    var config = {};
+    var touched = [];
+
+    Object.keys(writer.steps).map(function (name) {
+      return writer.steps[name].name;
+    }).concat('requirejs').forEach(function (name) {
+      config[name] = grunt.config(name) || {};
+    });
 
     grunt.log
       .writeln('Going through ' + grunt.log.wordlist(files) + ' to update the config')
@@ -126,54 +263,223 @@ module.exports = function (grunt) {
       };
     });
 
+    var revvedfinder = new RevvedFinder(grunt.file.expand);
+    // the blocks found in each file, when asked for a report
+    var report = {};
+    // what is wrong with the blocks, and the sources (and location) of each dest
+    // to catch the ones defined differently by several blocks
+    var problems = [];
+    var defined = {};
+
     files.forEach(function (file) {
-      var revvedfinder = new RevvedFinder(grunt.file.expand);
       var proc = new HTMLProcessor(file.path, file.body, revvedfinder, function (msg) {
         grunt.log.writeln(msg);
+      }, {
+        environment: options.environment
       });
+      var blocks = report[file.path] = {
+        blocks: [],
+        touched: []
+      };
 
-      proc.blocks.forEach(function (block) {
-        grunt.log.subhead('Found a block:')
-          .writeln(grunt.log.wordlist(block.raw, { separator: '\n' }))
-          .writeln('Updating config with the following assets:')
-          .writeln('    - ' + grunt.log.wordlist(block.src, { separator: '\n    - ' }));
+      var problem = function (line, message) {
+        problems.push(file.path + ':' + line + ': ' + message);
+        blocks.problems = (blocks.problems || []).concat({ line: line, message: message });
+      };
 
-        // update concat config for this block
-        concat[block.dest] = block.src;
-        grunt.config('concat', concat);
+      proc.validate().forEach(function (found) {
+        problem(found.line, found.message);
+      });
 
-        // update requirejs config as well, as during path lookup we might have
-        // updated it on data-main attribute
+      proc.blocks.forEach(function (block) {
+        var entry = {
+          type: block.type,
+          dest: block.dest,
+          src: block.src,
+          line: block.line,
+          endLine: block.endLine,
+          touched: []
+        };
         if (block.requirejs) {
-          requirejs.out = requirejs.out || block.requirejs.dest;
-          requirejs.baseUrl = requirejs.baseUrl || block.requirejs.baseUrl;
-          requirejs.name = requirejs.name || block.requirejs.name;
-          grunt.config('requirejs', requirejs);
+          entry.requirejs = block.requirejs;
         }
+        blocks.blocks.push(entry);
 
-        // min config, only for js type block
-        if (block.type === 'js') {
-          min[block.dest] = block.dest;
-          grunt.config('min', min);
+        // blocks of other environments are not built
+        if (!proc.isActive(block)) {
+          entry.skipped = true;
+          return;
         }
 
-        // css config, only for css type block
-        if (block.type === 'css') {
-          css[block.dest] = block.dest;
-          grunt.config('css', css);
+        var location = file.path + ':' + block.line;
+        var previous = defined[block.dest];
+        if (previous && previous.src.join('\n') !== block.src.join('\n')) {
+          if (options.conflicts !== 'merge') {
+            // the first definition is kept
+            problem(block.line, 'build:' + block.type + ' ' + block.dest +
+              ' already defined with other sources at ' + previous.location);
+            entry.rejected = true;
+            return;
+          }
+          grunt.log.writeln('Merging the sources of ' + block.dest + ' with the ones defined at ' + previous.location);
+          block.src = previous.src.concat(block.src.filter(function (src) {
+            return previous.src.indexOf(src) === -1;
+          }));
+          entry.src = block.src;
+        }
+        defined[block.dest] = {
+          src: block.src,
+          location: location
+        };
+
+        grunt.log.subhead('Found a block:')
+          .writeln(grunt.log.wordlist(block.raw, { separator: '\n' }))
+          .writeln('Updating config with the following assets:')
+          .writeln('    - ' + grunt.log.wordlist(block.src, { separator: '\n    - ' }));
+
+        if (!grunt.usemin.dests.some(function (built) {
+          return built.dest === block.dest && built.type === block.type;
+        })) {
+          grunt.usemin.dests.push({ dest: block.dest, type: block.type });
         }
+
+        entry.touched = writer.process(block, config);
+        entry.touched.forEach(function (name) {
+          grunt.config(name, config[name]);
+          [touched, blocks.touched].forEach(function (list) {
+            if (list.indexOf(name) === -1) {
+              list.push(name);
+            }
+          });
+        });
       });
     });
 
     // log a bit what was added to config
-    grunt.log.subhead('Configuration is now:')
-      .subhead('  css:')
-      .writeln('  ' + inspect(css))
-      .subhead('  concat:')
-      .writeln('  ' + inspect(concat))
-      .subhead('  min:')
-      .writeln('  ' + inspect(min))
-      .subhead('  requirejs:')
-      .writeln('  ' + inspect(requirejs));
+    grunt.log.subhead('Configuration is now:');
+    touched.forEach(function (name) {
+      grunt.log.subhead('  ' + name + ':')
+        .writeln('  ' + inspect(config[name]));
+    });
+
+    if (options.report) {
+      grunt.file.write(options.report, JSON.stringify(report, null, 2));
+      grunt.log.writeln('Report written to ' + options.report);
+    }
+
+    if (problems.length) {
+      var msg = problems.length + ' problem(s) found in the blocks:\n    ' + problems.join('\n    ');
+      if (options.strict) {
+        grunt.fail.warn(msg);
+      } else {
+        grunt.log.warn(msg);
+      }
+    }
+  });
+
+  grunt.registerMultiTask('useminRev', 'Renames files after the hash of their content', function () {
+    var options = this.options({
+      blocks: true
+    });
+    var revver = new Revver({
+      algorithm: options.algorithm,
+      length: options.length
+    });
+
+    // file type (i.e. the name of the usemin target handling it) by extension
+    var types = {
+      '.css': 'css',
+      '.htm': 'html',
+      '.html': 'html',
+      '.js': 'js'
+    };
+    var processors = {
+      css: CSSProcessor,
+      html: HTMLProcessor,
+      js: JSProcessor
+    };
+    var patterns = options.patterns || {};
+
+    // the files built for the blocks, but the inlined ones which are not referenced
+    // once usemin has embedded their content
+    var dests = grunt.usemin.dests.filter(function (built) {
+      return !/^inline-/.test(built.type);
+    }).map(function (built) {
+      return built.dest;
+    });
+
+    // the files matched by the target, and the ones built for the blocks
+    var files = this.filesSrc.concat(options.blocks ? dests : []).map(function (filepath) {
+      return path.normalize(filepath);
+    }).filter(function (filepath, i, files) {
+      return files.indexOf(filepath) === i && grunt.file.isFile(filepath);
+    });
+
+    // the processor of the furnished file, if any, its references being replaced
+    // by the files revved so far
+    var processorFor = function (filepath) {
+      var type = types[path.extname(filepath).toLowerCase()];
+      var Processor = processors[type];
+      var manifest = {};
+      [grunt.usemin.revved, revver.manifest].forEach(function (revved) {
+        Object.keys(revved).forEach(function (file) {
+          manifest[file] = revved[file];
+        });
+      });
+      var revvedfinder = new RevvedFinder(grunt.file.expand, {
+        manifest: manifest,
+        assetsDirs: options.assetsDirs,
+        root: options.root
+      });
+      return Processor && new Processor(filepath, grunt.file.read(filepath), revvedfinder, function () {}, {
+        patterns: patterns[type]
+      });
+    };
+
+    // the content of the file handled by the furnished processor once its references
+    // replaced, the blocks of HTML files being left for usemin to replace
+    var replace = function (proc) {
+      return proc instanceof HTMLProcessor ? proc.replaceWithRevved() : proc.process();
+    };
+
+    // the files referenced by the furnished one, as found by its processor
+    var dependenciesOf = function (filepath) {
+      var proc = processorFor(filepath);
+      if (!proc) {
+        return [];
+      }
+      replace(proc);
+      return proc.report.untouched.map(function (ref) {
+        var file = RevvedFinder.isLocal(ref.src) && proc.revvedfinder.resolve(ref.src, path.dirname(filepath));
+        return file && path.normalize(file);
+      });
+    };
+
+    // rev the files referenced by a file before it, so that its hash accounts for
+    // their revved names
+    var graph = order(files, dependenciesOf);
+    graph.cycles.forEach(function (cycle) {
+      grunt.log.warn('Circular references between ' + cycle.join(', ') + ': their hashes may not reflect their final content');
+    });
+
+    graph.order.forEach(function (filepath) {
+      var proc = processorFor(filepath);
+      if (proc) {
+        var content = replace(proc);
+        if (content !== proc.content) {
+          grunt.file.write(filepath, content);
+        }
+      }
+      grunt.log.writeln(filepath + ' renamed to ' + revver.rev(filepath));
+    });
+
+    Object.keys(revver.manifest).forEach(function (file) {
+      grunt.usemin.revved[file] = revver.manifest[file];
+    });
+
+    if (options.manifest) {
+      grunt.file.write(options.manifest, JSON.stringify(grunt.usemin.revved, null, 2));
+      grunt.log.writeln('Manifest written to ' + options.manifest);
+    }
   });
 };
@@ -0,0 +1,18 @@
+'use strict';
+var RevvedFinder = require('../lib/revvedfinder');
+
+//
+// Returns a revved version locator doing what the furnished methods (e.g. find)
+// do, the other ones (e.g. replace) being the RevvedFinder ones, but isRevved
+// which tells no reference is already revved unless furnished
+//
+exports.fakeFinder = function fakeFinder(methods) {
+  var finder = Object.create(RevvedFinder.prototype);
+  finder.isRevved = function () {
+    return false;
+  };
+  Object.keys(methods).forEach(function (name) {
+    finder[name] = methods[name];
+  });
+  return finder;
+};
@@ -0,0 +1,56 @@
+'use strict';
+var assert = require('assert');
+var AssetProcessor = require('../lib/assetprocessor');
+var CSSProcessor = require('../lib/cssprocessor');
+var JSProcessor = require('../lib/jsprocessor');
+var fakeFinder = require('./helpers').fakeFinder;
+
+describe('assetprocessor', function () {
+  var defaults = [
+    [/ref\(([^\)]+)\)/gm, 'Update the references']
+  ];
+  var revvedfinder = fakeFinder({
+    find: function (s) {
+      return s === 'a.png' ? '1234.a.png' : s;
+    }
+  });
+
+  it('should initialize correctly', function () {
+    var ap = new AssetProcessor('styles/main.css', 'a\r\nb', 3, null, {}, defaults);
+    assert.equal(3, ap.revvedfinder);
+    assert.equal('\r\n', ap.linefeed);
+    assert.equal('styles/main.css', ap.dest);
+    assert.deepEqual(ap.patterns, defaults);
+    assert.deepEqual(ap.report, {replaced: [], revved: [], untouched: []});
+  });
+
+  it('should complete or replace the default patterns', function () {
+    var extra = [/other\(([^\)]+)\)/gm, 'Update the other references'];
+    assert.deepEqual(new AssetProcessor('a.css', '', null, null, {patterns: [extra]}, defaults).patterns, defaults.concat([extra]));
+    assert.deepEqual(new AssetProcessor('a.css', '', null, null, {
+      patterns: function (patterns) {
+        assert.equal(patterns, defaults);
+        return [extra];
+      }
+    }, defaults).patterns, [extra]);
+  });
+
+  it('should replace the references found by the patterns and report them by line', function () {
+    var logs = [];
+    var ap = new AssetProcessor('a.css', 'ref(a.png)\nref(b.png)', revvedfinder, function (msg) {
+      logs.push(msg);
+    }, {}, defaults);
+    assert.equal(ap.process(), 'ref(1234.a.png)\nref(b.png)');
+    assert.deepEqual(ap.report, {
+      replaced: [{from: 'a.png', to: '1234.a.png', line: 1}],
+      revved: [],
+      untouched: [{src: 'b.png', line: 2}]
+    });
+    assert.deepEqual(logs, ['Update the references', 'ref(a.png) changed to ref(1234.a.png)']);
+  });
+
+  it('should be the base of the CSS and JS processors', function () {
+    assert.ok(new CSSProcessor('a.css', '', revvedfinder) instanceof AssetProcessor);
+    assert.ok(new JSProcessor('a.js', '', revvedfinder) instanceof AssetProcessor);
+  });
+});
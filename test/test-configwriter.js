@@ -0,0 +1,171 @@
+'use strict';
+var assert = require('assert');
+var ConfigWriter = require('../lib/configwriter');
+
+describe('ConfigWriter', function () {
+  var jsblock = {
+    type: 'js',
+    dest: 'scripts/site.js',
+    src: ['scripts/foo.js', 'scripts/bar.js']
+  };
+
+  it('should initialize correctly', function () {
+    var cw = new ConfigWriter();
+    assert.deepEqual(cw.flow, ConfigWriter.defaultFlow);
+    assert.ok(cw.steps.concat);
+  });
+
+  it('should merge the furnished flow with the default one', function () {
+    var cw = new ConfigWriter({flow: {js: ['concat', 'uglifyjs']}});
+    assert.deepEqual(cw.flow.js, ['concat', 'uglifyjs']);
+    assert.deepEqual(cw.flow.css, ['concat', 'css']);
+  });
+
+  describe('stepsFor', function () {
+    it('should return the steps of the block type', function () {
+      var cw = new ConfigWriter();
+      var names = cw.stepsFor('js').map(function (step) {
+        return step.name;
+      });
+      assert.deepEqual(names, ['concat', 'min']);
+    });
+
+    it('should only concat blocks of an unknown type', function () {
+      var cw = new ConfigWriter();
+      assert.deepEqual(cw.stepsFor('foo'), [cw.steps.concat]);
+    });
+
+    it('should use the furnished default flow for blocks of an unknown type', function () {
+      var cw = new ConfigWriter({flow: {'default': ['concat', 'uglifyjs']}});
+      assert.deepEqual(cw.stepsFor('coffee'), [cw.steps.concat, cw.steps.uglifyjs]);
+      assert.deepEqual(cw.stepsFor('js-concat'), [cw.steps.concat]);
+    });
+
+    it('should not configure anything for remove blocks', function () {
+      var cw = new ConfigWriter();
+      var config = {};
+      assert.deepEqual(cw.process({type: 'remove', dest: 'foo.js', src: ['bar.js']}, config), []);
+      assert.deepEqual(config, {});
+    });
+
+    it('should throw on unknown step', function () {
+      var cw = new ConfigWriter({flow: {js: ['foo']}});
+      assert.throws(function () {
+        cw.stepsFor('js');
+      }, /Unknown step "foo"/);
+    });
+  });
+
+  describe('process', function () {
+    it('should update the config following the default flow', function () {
+      var cw = new ConfigWriter();
+      var config = {};
+      var touched = cw.process(jsblock, config);
+      assert.deepEqual(touched, ['concat', 'min']);
+      assert.deepEqual(config.concat['scripts/site.js'], ['scripts/foo.js', 'scripts/bar.js']);
+      assert.equal(config.min['scripts/site.js'], 'scripts/site.js');
+    });
+
+    it('should chain the steps of a custom flow', function () {
+      var cw = new ConfigWriter({flow: {js: ['concat', 'uglifyjs']}});
+      var config = {};
+      cw.process(jsblock, config);
+      assert.deepEqual(config.uglify['scripts/site.js'], {src: ['scripts/site.js'], dest: 'scripts/site.js'});
+      assert.ok(!config.min);
+    });
+
+    it('should work on the block sources for the first step', function () {
+      var cw = new ConfigWriter({flow: {js: ['uglifyjs']}});
+      var config = {};
+      cw.process(jsblock, config);
+      assert.deepEqual(config.uglify['scripts/site.js'].src, ['scripts/foo.js', 'scripts/bar.js']);
+      assert.ok(!config.concat);
+    });
+
+    it('should keep existing config', function () {
+      var cw = new ConfigWriter();
+      var config = {concat: {'foo.js': ['bar.js']}};
+      cw.process(jsblock, config);
+      assert.deepEqual(config.concat['foo.js'], ['bar.js']);
+      assert.ok(config.concat['scripts/site.js']);
+    });
+
+    it('should use custom steps', function () {
+      var cw = new ConfigWriter({
+        flow: {js: ['foo']},
+        steps: {
+          foo: {
+            name: 'bar',
+            createConfig: function (context, block) {
+              return context.inFiles.length + ':' + block.type;
+            }
+          }
+        }
+      });
+      var config = {};
+      assert.deepEqual(cw.process(jsblock, config), ['bar']);
+      assert.equal(config.bar['scripts/site.js'], '2:js');
+    });
+
+    it('should use registered steps', function () {
+      ConfigWriter.registerStep('registered', {
+        name: 'registered',
+        createConfig: function (context) {
+          return context.outFile;
+        }
+      });
+      var cw = new ConfigWriter({flow: {js: ['registered']}});
+      var config = {};
+      cw.process(jsblock, config);
+      assert.equal(config.registered['scripts/site.js'], 'scripts/site.js');
+    });
+
+    it('should ask for chained source maps', function () {
+      var cw = new ConfigWriter({flow: {js: ['concat', 'uglifyjs'], css: ['concat', 'cssmin']}, sourceMap: true});
+      var config = {};
+      cw.process(jsblock, config);
+      cw.process({type: 'css', dest: 'styles/site.css', src: ['styles/foo.css']}, config);
+      assert.deepEqual(config.concat['scripts/site.js'], {src: ['scripts/foo.js', 'scripts/bar.js'], dest: '.tmp/concat/scripts/site.js', options: {sourceMap: true}});
+      assert.deepEqual(config.uglify['scripts/site.js'], {src: ['.tmp/concat/scripts/site.js'], dest: 'scripts/site.js',
+        options: {sourceMap: true, sourceMapIn: '.tmp/concat/scripts/site.js.map'}});
+      assert.deepEqual(config.cssmin['styles/site.css'].options, {sourceMap: true});
+    });
+
+    it('should chain source maps to cssmin through the staging directory', function () {
+      var cw = new ConfigWriter({flow: {css: ['concat', 'cssmin']}, sourceMap: true, staging: 'build/tmp'});
+      var config = {};
+      cw.process({type: 'css', dest: 'styles/site.css', src: ['styles/foo.css', 'styles/bar.css']}, config);
+      assert.deepEqual(config.concat['styles/site.css'], {src: ['styles/foo.css', 'styles/bar.css'], dest: 'build/tmp/concat/styles/site.css', options: {sourceMap: true}});
+      assert.deepEqual(config.cssmin['styles/site.css'], {src: ['build/tmp/concat/styles/site.css'], dest: 'styles/site.css', options: {sourceMap: true}});
+    });
+
+    it('should only use the staging directory with source maps', function () {
+      var cw = new ConfigWriter({flow: {css: ['concat', 'cssmin']}});
+      var config = {};
+      cw.process({type: 'css', dest: 'styles/site.css', src: ['styles/foo.css']}, config);
+      assert.deepEqual(config.concat['styles/site.css'], ['styles/foo.css']);
+      assert.deepEqual(config.cssmin['styles/site.css'], {src: ['styles/site.css'], dest: 'styles/site.css'});
+    });
+
+    it('should not chain source maps to the block sources', function () {
+      var cw = new ConfigWriter({flow: {js: ['uglifyjs']}, sourceMap: true});
+      var config = {};
+      cw.process(jsblock, config);
+      assert.deepEqual(config.uglify['scripts/site.js'].options, {sourceMap: true});
+    });
+
+    it('should update requirejs config', function () {
+      var cw = new ConfigWriter();
+      var config = {requirejs: {name: 'app'}};
+      var block = {
+        type: 'js',
+        dest: 'scripts/amd-app.js',
+        src: ['scripts/vendor/require.js', 'scripts/amd-app.js'],
+        requirejs: {dest: 'scripts/amd-app.js', baseUrl: 'scripts', name: 'main'}
+      };
+      var touched = cw.process(block, config);
+      assert.ok(touched.indexOf('requirejs') !== -1);
+      assert.deepEqual(config.requirejs, {name: 'app', out: 'scripts/amd-app.js', baseUrl: 'scripts'});
+    });
+  });
+});
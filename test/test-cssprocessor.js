@@ -1,6 +1,7 @@
 'use strict';
 var assert = require('assert');
 var CSSProcessor = require('../lib/cssprocessor');
+var fakeFinder = require('./helpers').fakeFinder;
 
 describe('cssprocessor', function () {
   it('should initialize correctly', function () {
@@ -16,11 +17,11 @@ describe('cssprocessor', function () {
       '/images/pic.png': '/images/2123.pic.png',
       '../../images/pic.png': '../../images/2123.pic.png',
     };
-    var revvedfinder = {
+    var revvedfinder = fakeFinder({
       find: function (s) {
         return mapping[s] || s;
       }
-    };
+    });
 
     it('should update the CSS with new img filenames', function () {
       var content = 'background-image:url(images/pic.png);';
@@ -56,5 +57,61 @@ describe('cssprocessor', function () {
       var awaited = 'background-image:url(../../images/2123.pic.png);';
       assert.equal(awaited, cp.process());
     });
+
+    it('should record replaced and untouched references', function () {
+      var content = 'background-image:url(images/pic.png);\nbackground-image:url(images/foo.png);';
+      var cp = new CSSProcessor('foo.css', content, revvedfinder);
+      cp.process();
+      assert.deepEqual(cp.report.replaced, [{ from: 'images/pic.png', to: 'images/2123.pic.png', line: 1 }]);
+      assert.deepEqual(cp.report.untouched, [{ src: 'images/foo.png', line: 2 }]);
+    });
+
+    it('should prefix references with the base URL', function () {
+      var content = 'background-image:url(images/pic.png);';
+      var finder = fakeFinder({
+        baseUrl: 'https://cdn',
+        find: revvedfinder.find,
+        toUrl: function (s, basedir) {
+          assert.equal('.', basedir);
+          return 'https://cdn/' + s;
+        }
+      });
+      var cp = new CSSProcessor('foo.css', content, finder);
+      assert.equal(cp.process(), 'background-image:url(https://cdn/images/2123.pic.png);');
+      assert.deepEqual(cp.report.replaced, [{ from: 'images/pic.png', to: 'https://cdn/images/2123.pic.png', line: 1 }]);
+    });
+
+    it('should update the source map reference', function () {
+      var finder = fakeFinder({
+        find: function (s) {
+          return s === 'main.css.map' ? '2123.main.css.map' : s;
+        }
+      });
+      var cp = new CSSProcessor('main.css', 'body{}\n/*# sourceMappingURL=main.css.map */', finder);
+      assert.equal(cp.process(), 'body{}\n/*# sourceMappingURL=2123.main.css.map */');
+      assert.deepEqual(cp.report.replaced, [{ from: 'main.css.map', to: '2123.main.css.map', line: 2 }]);
+    });
+
+    it('should use the furnished patterns', function () {
+      var content = '@import "images/pic.png";';
+      var cp = new CSSProcessor('foo.css', content, revvedfinder, null, {
+        patterns: [[/@import\s+['"]([^'"]+)['"]/gm, 'Update the imports']]
+      });
+      assert.equal(cp.process(), '@import "images/2123.pic.png";');
+      assert.equal(cp.patterns.length, CSSProcessor.patterns.length + 1);
+    });
+
+    it('should look for revved files from the dest location', function () {
+      var content = 'background-image:url(images/pic.png);';
+      var finder = fakeFinder({
+        find: function (s, basedir) {
+          assert.equal('dist/css', basedir);
+          return s;
+        }
+      });
+      var cp = new CSSProcessor('app/css/foo.css', content, finder, null, {dest: 'dist/css/foo.css'});
+      assert.equal('dist/css/foo.css', cp.dest);
+      assert.equal(content, cp.process());
+    });
   });
 });
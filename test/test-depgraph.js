@@ -0,0 +1,39 @@
+'use strict';
+var assert = require('assert');
+var order = require('../lib/depgraph');
+
+describe('depgraph', function () {
+  var graph = function (edges) {
+    return function (file) {
+      return edges[file] || [];
+    };
+  };
+
+  it('should order the files leaf-first', function () {
+    var result = order(['index.html', 'main.css', 'pic.png', 'app.js'], graph({
+      'index.html': ['main.css', 'app.js'],
+      'main.css': ['pic.png'],
+      'app.js': ['pic.png']
+    }));
+    assert.deepEqual(result.order, ['pic.png', 'main.css', 'app.js', 'index.html']);
+    assert.deepEqual(result.cycles, []);
+  });
+
+  it('should ignore the dependencies not part of the files', function () {
+    var result = order(['main.css'], graph({'main.css': ['pic.png']}));
+    assert.deepEqual(result.order, ['main.css']);
+  });
+
+  it('should keep the original order of independent files', function () {
+    assert.deepEqual(order(['b.png', 'a.png'], graph({})).order, ['b.png', 'a.png']);
+  });
+
+  it('should report cycles', function () {
+    var result = order(['a.css', 'b.css', 'c.png'], graph({
+      'a.css': ['b.css'],
+      'b.css': ['a.css', 'c.png']
+    }));
+    assert.deepEqual(result.order, ['c.png', 'b.css', 'a.css']);
+    assert.deepEqual(result.cycles, [['a.css', 'b.css']]);
+  });
+});
@@ -2,6 +2,7 @@
 var assert = require('assert');
 var grunt = require('grunt');
 var HTMLProcessor = require('../lib/htmlprocessor');
+var fakeFinder = require('./helpers').fakeFinder;
 
 describe('htmlprocessor', function () {
   var filemapping = {
@@ -11,11 +12,11 @@ describe('htmlprocessor', function () {
     'image.png': '1234.image.png'
   };
 
-  var revvedfinder = {
+  var revvedfinder = fakeFinder({
     find: function (s) {
       return filemapping[s] || s;
     }
-  };
+  });
 
   it('should initialize correctly', function () {
     var hp = new HTMLProcessor('myfile.html', '', 3);
@@ -109,6 +110,113 @@ describe('htmlprocessor', function () {
     assert.equal('bar/foo.css', hp.blocks[0].dest);
   });
 
+  it('should handle blocks in one-line markup', function () {
+    var htmlcontent = '<head><!-- build:js foo.js --><script src="bar.js"></script><script src=baz.js></script><!-- endbuild --><link href="qux.css"></head>';
+    var hp = new HTMLProcessor('myfile.html', htmlcontent, 3);
+    assert.equal(1, hp.blocks.length);
+    assert.deepEqual(['bar.js', 'baz.js'], hp.blocks[0].src);
+    assert.equal('', hp.blocks[0].indent);
+    assert.equal('<head><script src="foo.js"></script><link href="qux.css"></head>', hp.replaceBlocks());
+  });
+
+  it('should handle tags spanning several lines', function () {
+    var htmlcontent = '  <!-- build:css foo.css -->\n' +
+    '  <link rel="stylesheet"\n' +
+    '        href="bar.css">\n' +
+    '  <link rel="stylesheet" href="baz.css"><link rel="stylesheet" href="qux.css">\n' +
+    '  <!-- endbuild --> <p>foo</p>';
+    var hp = new HTMLProcessor('myfile.html', htmlcontent, 3);
+    assert.equal(1, hp.blocks.length);
+    assert.deepEqual(['bar.css', 'baz.css', 'qux.css'], hp.blocks[0].src);
+    assert.equal(5, hp.blocks[0].raw.length);
+    assert.equal('  <link rel="stylesheet" href="foo.css"> <p>foo</p>', hp.replaceBlocks());
+  });
+
+  it('should record the lines of the blocks', function () {
+    var htmlcontent = '<html>\n  <!-- build:js foo.js -->\n  <script src="bar.js"></script>\n  <!-- endbuild -->\n</html>\n';
+    var hp = new HTMLProcessor('myfile.html', htmlcontent, revvedfinder);
+    assert.equal(hp.blocks[0].line, 2);
+    assert.equal(hp.blocks[0].endLine, 4);
+  });
+
+  it('should record the offsets of the blocks', function () {
+    var htmlcontent = '<p></p>\n  <!-- build:js foo.js -->\n<script src="bar.js"></script>\n<!-- endbuild -->\n';
+    var hp = new HTMLProcessor('myfile.html', htmlcontent, 3);
+    assert.equal(8, hp.blocks[0].start);
+    assert.equal(htmlcontent.length - 1, hp.blocks[0].end);
+  });
+
+  describe('search path', function () {
+    var existing = ['.tmp/scripts/templates.js', 'app/scripts/app.js', 'app/scripts/main.js'];
+    var fileExists = function (filepath) {
+      return existing.indexOf(filepath) !== -1;
+    };
+
+    it('should look for the sources in the furnished directories', function () {
+      var htmlcontent = '<!-- build:js({.tmp,app}) scripts/site.js -->\n' +
+        '<script src="scripts/templates.js"></script>\n' +
+        '<script src="scripts/app.js"></script>\n' +
+        '<!-- endbuild -->\n';
+      var hp = new HTMLProcessor('app/index.html', htmlcontent, null, null, {fileExists: fileExists});
+      assert.deepEqual(hp.blocks[0].searchPath, ['.tmp', 'app']);
+      assert.deepEqual(hp.blocks[0].src, ['.tmp/scripts/templates.js', 'app/scripts/app.js']);
+      assert.equal(hp.blocks[0].dest, 'app/scripts/site.js');
+    });
+
+    it('should default to the first directory when the source is nowhere', function () {
+      var htmlcontent = '<!-- build:js({.tmp,app}) scripts/site.js -->\n' +
+        '<script src="scripts/foo.js"></script>\n' +
+        '<!-- endbuild -->\n';
+      var hp = new HTMLProcessor('app/index.html', htmlcontent, null, null, {fileExists: fileExists});
+      assert.deepEqual(hp.blocks[0].src, ['.tmp/scripts/foo.js']);
+    });
+
+    it('should handle attributes along with the search path', function () {
+      var htmlcontent = '<!-- build:js({app} defer) scripts/site.js -->\n' +
+        '<script src="scripts/app.js"></script>\n' +
+        '<!-- endbuild -->\n';
+      var hp = new HTMLProcessor('index.html', htmlcontent, null, null, {fileExists: fileExists});
+      assert.deepEqual(hp.blocks[0].searchPath, ['app']);
+      assert.deepEqual(hp.blocks[0].src, ['app/scripts/app.js']);
+      assert.deepEqual(hp.blocks[0].attributes, {defer: null});
+    });
+
+    it('should only take the directories between braces as the search path', function () {
+      var htmlcontent = '<!-- build:js({../App}) scripts/site.js -->\n' +
+        '<script src="scripts/app.js"></script>\n' +
+        '<!-- endbuild -->\n' +
+        '<!-- build:js(app) scripts/other.js -->\n' +
+        '<script src="scripts/app.js"></script>\n' +
+        '<!-- endbuild -->\n';
+      var hp = new HTMLProcessor('dist/index.html', htmlcontent, null, null, {fileExists: fileExists});
+      assert.deepEqual(hp.blocks[0].searchPath, ['../App']);
+      assert.deepEqual(hp.blocks[0].attributes, {});
+      assert.ok(!hp.blocks[1].searchPath);
+      assert.deepEqual(hp.blocks[1].attributes, {app: null});
+    });
+
+    it('should report paths given outside of braces', function () {
+      var htmlcontent = '<!-- build:js(../app defer) scripts/site.js -->\n' +
+        '<script src="scripts/app.js"></script>\n' +
+        '<!-- endbuild -->\n';
+      var hp = new HTMLProcessor('dist/index.html', htmlcontent, null, null, {fileExists: fileExists});
+      assert.ok(!hp.blocks[0].searchPath);
+      assert.deepEqual(hp.blocks[0].attributes, {});
+      assert.deepEqual(hp.problems, [{
+        line: 1,
+        message: 'build:js dist/scripts/site.js has invalid attributes "../app defer" (directories to search go between braces, e.g. {app})'
+      }]);
+    });
+
+    it('should look for the RequireJS main module in the furnished directories', function () {
+      var htmlcontent = '<!-- build:js({.tmp,app}) scripts/amd-app.js -->\n' +
+        '<script data-main="scripts/main" src="scripts/vendor/require.js"></script>\n' +
+        '<!-- endbuild -->\n';
+      var hp = new HTMLProcessor('index.html', htmlcontent, null, null, {fileExists: fileExists});
+      assert.equal(hp.blocks[0].requirejs.baseUrl, 'app/scripts');
+    });
+  });
+
   describe('replaceWith', function () {
     it('should return a string that will replace the furnished block (JS)', function () {
       var htmlcontent = '  <!-- build:js foo.js -->   <script src="scripts/bar.js"></script>\n  <script src="baz.js"></script>\n  <!-- endbuild -->\n';
@@ -132,6 +240,421 @@ describe('htmlprocessor', function () {
     });
   });
 
+  describe('with a dest', function () {
+    var htmlcontent = '<!-- build:js scripts/foo.js -->\n' +
+    '<script src="scripts/bar.js"></script>\n' +
+    '<!-- endbuild -->\n' +
+    '<img src="image.png">';
+
+    it('should compute blocks from the dest location', function () {
+      var hp = new HTMLProcessor('app/index.html', htmlcontent, 3, null, {dest: 'dist/index.html'});
+      assert.equal('app/index.html', hp.filepath);
+      assert.equal('dist/index.html', hp.dest);
+      assert.equal('dist/scripts/foo.js', hp.blocks[0].dest);
+      assert.equal('<script src="scripts/foo.js"></script>', hp.replaceWith(hp.blocks[0]));
+    });
+
+    it('should look for revved files from the dest location', function () {
+      var basedirs = [];
+      var finder = fakeFinder({
+        find: function (s, basedir) {
+          basedirs.push(basedir);
+          return s;
+        }
+      });
+      var hp = new HTMLProcessor('app/index.html', htmlcontent, finder, null, {dest: 'dist/index.html'});
+      hp.process();
+      assert.ok(basedirs.length > 0);
+      basedirs.forEach(function (basedir) {
+        assert.equal('dist', basedir);
+      });
+    });
+  });
+
+  describe('attributes', function () {
+    it('should carry over the attributes shared by the tags of the block', function () {
+      var htmlcontent = '  <!-- build:js foo.js -->\n' +
+      '  <script defer crossorigin="anonymous" id="bar" src="bar.js"></script>\n' +
+      '  <script src="baz.js" id="baz" crossorigin="anonymous" defer></script>\n' +
+      '  <!-- endbuild -->';
+      var hp = new HTMLProcessor('myfile.html', htmlcontent, 3);
+      assert.equal(hp.replaceWith(hp.blocks[0]), '  <script src="foo.js" defer crossorigin="anonymous"></script>');
+    });
+
+    it('should not carry over the attributes set by the replacement', function () {
+      var htmlcontent = '<!-- build:css foo.css -->\n' +
+      '<link rel="stylesheet" media="print" href="bar.css">\n' +
+      '<link rel="stylesheet" media="print" href="baz.css">\n' +
+      '<!-- endbuild -->';
+      var hp = new HTMLProcessor('myfile.html', htmlcontent, 3);
+      assert.equal(hp.replaceWith(hp.blocks[0]), '<link rel="stylesheet" href="foo.css" media="print">');
+    });
+
+    it('should use the attributes furnished in the build comment', function () {
+      var htmlcontent = '<!-- build:css(media=print title="Print styles") /css/print.css -->\n' +
+      '<link rel="stylesheet" media="screen" href="bar.css">\n' +
+      '<!-- endbuild -->';
+      var hp = new HTMLProcessor('myfile.html', htmlcontent, 3);
+      assert.equal('css', hp.blocks[0].type);
+      assert.equal('css/print.css', hp.blocks[0].dest);
+      assert.ok(hp.blocks[0].startFromRoot);
+      assert.deepEqual(hp.blocks[0].attributes, {rel: 'stylesheet', media: 'print', title: 'Print styles'});
+      assert.equal(hp.replaceWith(hp.blocks[0]), '<link rel="stylesheet" href="/css/print.css" media="print" title="Print styles">');
+    });
+
+    it('should handle parentheses in the attributes of the build comment', function () {
+      var htmlcontent = '<!-- build:css(media="print and (min-width: 500px)" title=\'a)b\') css/print.css -->\n' +
+      '<link rel="stylesheet" href="bar.css">\n' +
+      '<!-- endbuild -->';
+      var hp = new HTMLProcessor('myfile.html', htmlcontent, 3);
+      assert.equal(hp.blocks.length, 1);
+      assert.equal(hp.blocks[0].dest, 'css/print.css');
+      assert.deepEqual(hp.blocks[0].attributes, {rel: 'stylesheet', media: 'print and (min-width: 500px)', title: 'a)b'});
+      assert.equal(hp.replaceBlocks(), '<link rel="stylesheet" href="css/print.css" media="print and (min-width: 500px)" title="a)b">');
+    });
+
+    it('should handle boolean attributes in the build comment', function () {
+      var htmlcontent = '<!-- build:js(async type=module) app.js -->\n' +
+      '<script src="bar.js"></script>\n' +
+      '<!-- endbuild -->';
+      var hp = new HTMLProcessor('myfile.html', htmlcontent, 3);
+      assert.equal(hp.replaceWith(hp.blocks[0]), '<script src="app.js" async type="module"></script>');
+    });
+
+    it('should escape attribute values', function () {
+      var htmlcontent = '<!-- build:js app.js -->\n' +
+      '<script data-foo=\'{"a": 1}\' src="bar.js"></script>\n' +
+      '<!-- endbuild -->';
+      var hp = new HTMLProcessor('myfile.html', htmlcontent, 3);
+      assert.equal(hp.replaceWith(hp.blocks[0]), '<script src="app.js" data-foo="{&quot;a&quot;: 1}"></script>');
+    });
+  });
+
+  describe('blockReplacements', function () {
+    it('should record the attributes shared by the tags of the block', function () {
+      var htmlcontent = '<!-- build:js foo.js -->\n' +
+      '<script defer type="text/javascript" id="bar" src="bar.js"></script>\n' +
+      '<script type="text/javascript" defer id="baz" src="baz.js"></script>\n' +
+      '<!-- endbuild -->';
+      var hp = new HTMLProcessor('myfile.html', htmlcontent, 3);
+      assert.deepEqual(hp.blocks[0].attributes, {defer: null, type: 'text/javascript'});
+    });
+
+    it('should remove blocks of an unknown type', function () {
+      var htmlcontent = '  <!-- build:remove foo.js -->\n<script src="bar.js"></script>\n<!-- endbuild -->\n';
+      var hp = new HTMLProcessor('myfile.html', htmlcontent, 3);
+      assert.equal('\n', hp.replaceBlocks());
+    });
+
+    it('should use the furnished template', function () {
+      var htmlcontent = '  <!-- build:less styles/main.css -->\n<link rel="stylesheet/less" href="main.less">\n<!-- endbuild -->\n';
+      var hp = new HTMLProcessor('build/myfile.html', htmlcontent, 3, null, {
+        blockReplacements: {
+          less: '<link rel="stylesheet" href="{{ dest }}" data-type="{{type}}">'
+        }
+      });
+      assert.equal(hp.replaceWith(hp.blocks[0]), '  <link rel="stylesheet" href="styles/main.css" data-type="less">');
+    });
+
+    it('should use the furnished function', function () {
+      var htmlcontent = '<!-- build:js /scripts/foo.js -->\n<script defer src="bar.js"></script>\n<!-- endbuild -->';
+      var blocks = [];
+      var hp = new HTMLProcessor('myfile.html', htmlcontent, 3, null, {
+        blockReplacements: {
+          js: function (block) {
+            blocks.push(block);
+            return '<script src="' + block.dest + '"' + ('defer' in block.attributes ? ' defer' : '') + '></script>';
+          }
+        }
+      });
+      assert.equal(hp.replaceWith(hp.blocks[0]), '<script src="/scripts/foo.js" defer></script>');
+      assert.equal(blocks[0].type, 'js');
+      assert.deepEqual(blocks[0].src, ['bar.js']);
+      assert.equal(hp.blocks[0].dest, 'scripts/foo.js');
+    });
+  });
+
+  describe('conditional comments', function () {
+    it('should make a block of tags wrapped in a conditional comment', function () {
+      var htmlcontent = '  <!-- build:js oldie.js -->\n' +
+        '  <!--[if lt IE 9]>\n  <script src="html5shiv.js"></script>\n  <script src="respond.js"></script>\n  <![endif]-->\n' +
+        '  <!-- endbuild -->\n';
+      var hp = new HTMLProcessor('index.html', htmlcontent, revvedfinder);
+      assert.deepEqual(hp.blocks[0].src, ['html5shiv.js', 'respond.js']);
+      assert.deepEqual(hp.blocks[0].conditional, {condition: 'lt IE 9', revealed: false});
+      assert.equal(hp.replaceBlocks(), '  <!--[if lt IE 9]><script src="oldie.js"></script><![endif]-->\n');
+    });
+
+    it('should handle downlevel-revealed conditional comments', function () {
+      var htmlcontent = '<!-- build:js modern.js -->\n' +
+        '<!--[if !IE]><!--><script src="foo.js"></script><script src="bar.js"></script><!--<![endif]-->\n' +
+        '<!-- endbuild -->\n';
+      var hp = new HTMLProcessor('index.html', htmlcontent, revvedfinder);
+      assert.deepEqual(hp.blocks[0].src, ['foo.js', 'bar.js']);
+      assert.deepEqual(hp.blocks[0].conditional, {condition: '!IE', revealed: true});
+      assert.equal(hp.replaceBlocks(), '<!--[if !IE]><!--><script src="modern.js"></script><!--<![endif]-->\n');
+    });
+
+    it('should leave conditional comments out of a block holding other tags', function () {
+      var htmlcontent = '<!-- build:js app.js -->\n' +
+        '<script src="foo.js"></script>\n' +
+        '<!--[if lt IE 9]><script src="html5shiv.js"></script><![endif]-->\n' +
+        '<!--[if !IE]><!--><script src="bar.js"></script><!--<![endif]-->\n' +
+        '<script src="baz.js"></script>\n' +
+        '<!-- endbuild -->\n';
+      var hp = new HTMLProcessor('index.html', htmlcontent, revvedfinder);
+      assert.deepEqual(hp.blocks[0].src, ['foo.js', 'baz.js']);
+      assert.ok(!hp.blocks[0].conditional);
+      assert.equal(hp.replaceBlocks(), '<script src="app.js"></script>\n' +
+        '<!--[if lt IE 9]><script src="html5shiv.js"></script><![endif]-->\n' +
+        '<!--[if !IE]><!--><script src="bar.js"></script><!--<![endif]-->\n');
+    });
+
+    it('should leave conditional comments of different conditions out of the block', function () {
+      var htmlcontent = '<!-- build:css ie.css -->\n' +
+        '<!--[if IE 7]><link rel="stylesheet" href="ie7.css"><![endif]-->\n' +
+        '<!--[if IE 8]><link rel="stylesheet" href="ie8.css"><![endif]-->\n' +
+        '<!-- endbuild -->\n';
+      var hp = new HTMLProcessor('index.html', htmlcontent, revvedfinder);
+      assert.deepEqual(hp.blocks[0].src, []);
+      assert.equal(hp.blocks[0].conditionals.length, 2);
+    });
+
+    it('should replace references in conditional comments with revved version', function () {
+      var hp = new HTMLProcessor('index.html', '', revvedfinder);
+      var replaced = hp.replaceWithRevved('<!--[if lt IE 9]><script src="foo.js"></script><![endif]-->');
+      assert.equal(replaced, '<!--[if lt IE 9]><script src="1234.foo.js"></script><![endif]-->');
+    });
+  });
+
+  describe('inline blocks', function () {
+    var files = {
+      'scripts/boot.js': 'var s = "</script><!-- x -->";\n',
+      'styles/critical.css': 'body{margin:0}\n'
+    };
+    var readFile = function (filepath) {
+      if (!files.hasOwnProperty(filepath)) {
+        throw new Error('ENOENT');
+      }
+      return files[filepath];
+    };
+
+    it('should embed the content of the target of inline-js blocks', function () {
+      var htmlcontent = '  <!-- build:inline-js scripts/boot.js -->\n  <script async src="scripts/foo.js"></script>\n  <!-- endbuild -->\n';
+      var hp = new HTMLProcessor('index.html', htmlcontent, revvedfinder, null, {readFile: readFile});
+      assert.equal(hp.replaceWith(hp.blocks[0]), '  <script async>var s = "<\\/script><\\!-- x -->";</script>');
+    });
+
+    it('should embed the content of the target of inline-css blocks', function () {
+      var htmlcontent = '<!-- build:inline-css styles/critical.css -->\n<link rel="stylesheet" href="styles/foo.css" media="screen">\n<!-- endbuild -->\n';
+      var hp = new HTMLProcessor('index.html', htmlcontent, revvedfinder, null, {readFile: readFile});
+      assert.equal(hp.replaceWith(hp.blocks[0]), '<style media="screen">body{margin:0}</style>');
+    });
+
+    it('should read the target from the cwd', function () {
+      var htmlcontent = '<!-- build:inline-css ../styles/critical.css -->\n<link rel="stylesheet" href="../styles/foo.css">\n<!-- endbuild -->\n';
+      var hp = new HTMLProcessor('app/index.html', htmlcontent, revvedfinder, null, {readFile: readFile});
+      assert.equal(hp.replaceWith(hp.blocks[0]), '<style>body{margin:0}</style>');
+    });
+
+    it('should throw when the target cannot be read', function () {
+      var htmlcontent = '<!-- build:inline-js scripts/missing.js -->\n<script src="scripts/foo.js"></script>\n<!-- endbuild -->\n';
+      var hp = new HTMLProcessor('index.html', htmlcontent, revvedfinder, null, {readFile: readFile});
+      assert.throws(function () {
+        hp.replaceWith(hp.blocks[0]);
+      }, /Unable to inline "scripts\/missing\.js"/);
+    });
+
+    it('should replace the references of the target from its location and rebase its urls', function () {
+      var finder = fakeFinder({
+        find: function (s) {
+          return s === '../images/pic.png' ? '../images/1234.pic.png' : s;
+        }
+      });
+      var htmlcontent = '<!-- build:inline-css styles/critical.css -->\n<link rel="stylesheet" href="styles/foo.css">\n<!-- endbuild -->\n';
+      var hp = new HTMLProcessor('index.html', htmlcontent, finder, null, {readFile: function () {
+        return 'body{background:url("../images/pic.png")}\na{background:url(//cdn.com/a.png)}\nb{background:url(/b.png)}\n';
+      }});
+      assert.equal(hp.replaceWith(hp.blocks[0]), '<style>body{background:url("images/1234.pic.png")}\n' +
+        'a{background:url(//cdn.com/a.png)}\nb{background:url(/b.png)}</style>');
+      assert.deepEqual(hp.report.replaced, [{ from: '../images/pic.png', to: '../images/1234.pic.png', line: 1 }]);
+    });
+
+    it('should leave the inlined content out of the HTML patterns', function () {
+      var finder = fakeFinder({
+        find: function (s) {
+          return s.replace(/[^\/]+$/, 'r.$&');
+        }
+      });
+      var htmlcontent = '<img src="a.png">\n<!-- build:inline-js scripts/boot.js -->\n<script src="scripts/foo.js"></script>\n' +
+        '<!-- endbuild -->\n<img src="c.png">\n';
+      var hp = new HTMLProcessor('index.html', htmlcontent, finder, null, {readFile: function () {
+        return 'var img = \'<img src="b.png">\', txt = \'<img src="b.txt">\';\n';
+      }});
+      assert.equal(hp.process(), '<img src="r.a.png">\n' +
+        '<script>var img = \'<img src="r.b.png">\', txt = \'<img src="b.txt">\';</script>\n<img src="r.c.png">\n');
+    });
+  });
+
+  describe('integrity', function () {
+    var files = {
+      'scripts/app.js': 'alert(1);',
+      'styles/1234.main.css': 'body{}'
+    };
+    var finder = fakeFinder({
+      find: function (s) {
+        return s === 'styles/main.css' ? 'styles/1234.main.css' : s;
+      },
+      resolve: function (s) {
+        return files.hasOwnProperty(s) ? s : null;
+      }
+    });
+    var digest = function (alg, content) {
+      return alg + '-' + require('crypto').createHash(alg).update(content).digest('base64');
+    };
+
+    it('should add the integrity digest to script and stylesheet tags', function () {
+      var hp = new HTMLProcessor('index.html', '', finder, null, {integrity: true, readFile: function (f) {
+        return files[f];
+      }});
+      var content = '<script src="scripts/app.js"></script>\n<link rel="stylesheet" href="styles/main.css">\n<link rel="icon" href="scripts/app.js">';
+      assert.equal(hp.replaceWithRevved(content), '<script src="scripts/app.js" integrity="' + digest('sha384', 'alert(1);') + '"></script>\n' +
+        '<link rel="stylesheet" href="styles/1234.main.css" integrity="' + digest('sha384', 'body{}') + '">\n' +
+        '<link rel="icon" href="scripts/app.js">');
+    });
+
+    it('should use the furnished algorithm and crossorigin', function () {
+      var hp = new HTMLProcessor('index.html', '', finder, null, {integrity: 'sha256', crossorigin: 'anonymous', readFile: function (f) {
+        return files[f];
+      }});
+      assert.equal(hp.replaceWithRevved('<script src="scripts/app.js"></script>'),
+        '<script src="scripts/app.js" integrity="' + digest('sha256', 'alert(1);') + '" crossorigin="anonymous"></script>');
+    });
+
+    it('should throw on an unsupported algorithm', function () {
+      ['md5', 'foo'].forEach(function (integrity) {
+        assert.throws(function () {
+          new HTMLProcessor('index.html', '', finder, null, {integrity: integrity});
+        }, /Unsupported integrity algorithm "\w+" \(expected one of sha256, sha384, sha512\)/);
+      });
+    });
+
+    it('should leave tags without local file or with an integrity alone', function () {
+      var hp = new HTMLProcessor('index.html', '', finder, null, {integrity: true, readFile: function (f) {
+        return files[f];
+      }});
+      var content = '<script src="http://cdn/app.js"></script>\n<script src="scripts/missing.js"></script>\n' +
+        '<script src="scripts/app.js" integrity="sha256-foo"></script>';
+      assert.equal(hp.replaceWithRevved(content), content);
+    });
+
+    it('should add the integrity digest to the tags replacing blocks', function () {
+      var htmlcontent = '<!-- build:js scripts/app.js -->\n<script src="scripts/foo.js"></script>\n<!-- endbuild -->\n';
+      var hp = new HTMLProcessor('index.html', htmlcontent, finder, null, {integrity: true, readFile: function (f) {
+        return files[f];
+      }});
+      assert.equal(hp.process(), '<script src="scripts/app.js" integrity="' + digest('sha384', 'alert(1);') + '"></script>\n');
+    });
+  });
+
+  describe('environments', function () {
+    var htmlcontent = '<!-- build:js(env=production,staging defer) prod.js -->\n' +
+      '<script defer src="analytics.js"></script>\n' +
+      '<!-- endbuild -->\n' +
+      '<!-- build:js(env=!cordova) polyfills.js -->\n' +
+      '<script src="polyfills.js"></script>\n' +
+      '<!-- endbuild -->\n';
+
+    it('should record the environments of the blocks', function () {
+      var hp = new HTMLProcessor('index.html', htmlcontent, revvedfinder);
+      assert.deepEqual(hp.blocks[0].env, ['production', 'staging']);
+      assert.deepEqual(hp.blocks[0].attributes, {defer: null});
+      assert.deepEqual(hp.blocks[1].env, ['!cordova']);
+    });
+
+    it('should tell whether a block applies to the environment', function () {
+      var hp = new HTMLProcessor('index.html', htmlcontent, revvedfinder, null, {environment: 'staging'});
+      assert.ok(hp.isActive(hp.blocks[0]));
+      assert.ok(hp.isActive(hp.blocks[1]));
+
+      hp = new HTMLProcessor('index.html', htmlcontent, revvedfinder, null, {environment: 'cordova'});
+      assert.ok(!hp.isActive(hp.blocks[0]));
+      assert.ok(!hp.isActive(hp.blocks[1]));
+
+      hp = new HTMLProcessor('index.html', htmlcontent, revvedfinder);
+      assert.ok(!hp.isActive(hp.blocks[0]));
+      assert.ok(hp.isActive(hp.blocks[1]));
+    });
+
+    it('should remove the blocks of other environments', function () {
+      var hp = new HTMLProcessor('index.html', htmlcontent, revvedfinder, null, {environment: 'cordova'});
+      assert.equal(hp.replaceBlocks(), '\n\n');
+      assert.ok(hp.report.blocks[0].skipped);
+    });
+
+    it('should keep the blocks of other environments when asked to', function () {
+      var hp = new HTMLProcessor('index.html', htmlcontent, revvedfinder, null, {environment: 'production', inactiveBlocks: 'keep'});
+      assert.equal(hp.replaceBlocks(), '<script src="prod.js" defer></script>\n<script src="polyfills.js"></script>\n');
+
+      hp = new HTMLProcessor('index.html', htmlcontent, revvedfinder, null, {environment: 'cordova', inactiveBlocks: 'keep'});
+      assert.equal(hp.replaceBlocks(), htmlcontent);
+    });
+  });
+
+  describe('validate', function () {
+    var fileExists = function (filepath) {
+      return filepath !== 'scripts/missing.js';
+    };
+
+    it('should report the blocks never closed', function () {
+      var htmlcontent = '<html>\n<!-- build:js foo.js -->\n<script src="bar.js"></script>\n' +
+        '<!-- build:css foo.css -->\n<link rel="stylesheet" href="bar.css">\n<!-- endbuild -->\n' +
+        '<!-- build:js baz.js -->\n<script src="baz.js"></script>\n';
+      var hp = new HTMLProcessor('index.html', htmlcontent, null, null, {fileExists: fileExists});
+      assert.equal(hp.blocks.length, 1);
+      assert.equal(hp.blocks[0].dest, 'foo.css');
+      assert.deepEqual(hp.validate(), [
+        {line: 2, message: 'build:js foo.js is never closed'},
+        {line: 7, message: 'build:js baz.js is never closed'}
+      ]);
+    });
+
+    it('should report the build comments that do not parse', function () {
+      var htmlcontent = '<!-- build:js(defer app.js -->\n<script src="foo.js"></script>\n<!-- endbuild -->\n' +
+        '<!-- build:js -->\n<script src="bar.js"></script>\n<!-- endbuild -->\n' +
+        '<!-- endbuild -->\n' +
+        '<!-- build:js baz.js -->\n<script src="baz.js"></script>\n<!-- endbuild baz.js -->\n';
+      var hp = new HTMLProcessor('index.html', htmlcontent, null, null, {fileExists: fileExists});
+      assert.equal(hp.blocks.length, 0);
+      assert.deepEqual(hp.validate(), [
+        {line: 1, message: 'build comment "build:js(defer app.js" does not parse'},
+        {line: 4, message: 'build comment "build:js" does not parse'},
+        {line: 7, message: 'endbuild without build comment'},
+        {line: 8, message: 'build:js baz.js is never closed'},
+        {line: 10, message: 'endbuild comment "endbuild baz.js" does not parse'}
+      ]);
+    });
+
+    it('should report the sources not found', function () {
+      var htmlcontent = '<!-- build:js scripts/app.js -->\n<script src="scripts/missing.js"></script>\n' +
+        '<script src="scripts/found.js"></script>\n<!-- endbuild -->\n' +
+        '<!-- build:js(env=cordova) scripts/cordova.js -->\n<script src="scripts/missing.js"></script>\n<!-- endbuild -->\n';
+      var hp = new HTMLProcessor('index.html', htmlcontent, null, null, {fileExists: fileExists});
+      assert.deepEqual(hp.validate(), [
+        {line: 1, message: 'scripts/missing.js of build:js scripts/app.js not found'}
+      ]);
+    });
+
+    it('should not report the RequireJS destination', function () {
+      var htmlcontent = '<!-- build:js scripts/app.js -->\n' +
+        '<script data-main="scripts/main" src="scripts/require.js"></script>\n<!-- endbuild -->\n';
+      var hp = new HTMLProcessor('index.html', htmlcontent, null, null, {fileExists: function (filepath) {
+        return filepath !== 'scripts/app.js';
+      }});
+      assert.deepEqual(hp.validate(), []);
+    });
+  });
+
   describe('replaceBlocks', function () {
     it('should replace blocks based on their types', function () {
       var jsblock = '  <!-- build:js foo.js -->\n   <script src="scripts/bar.js"></script>\n  <script src="baz.js"></script>\n  <!-- endbuild -->\n';
@@ -154,6 +677,30 @@ describe('htmlprocessor', function () {
       assert.equal(replaced, '<script src="/1234.foo.js"></script>');
     });
 
+    it('should replace unquoted and single-quoted references', function () {
+      var content = '<img src=image.png><script src=foo.js></script>\n<link rel=stylesheet href=\'bar.css\'>\n' +
+        '<div style="background: url(image.png)"></div>\n<img src=missing.png alt=x>';
+      var hp = new HTMLProcessor('myfile.txt', content, revvedfinder);
+      assert.equal(hp.replaceWithRevved(), '<img src=1234.image.png><script src=1234.foo.js></script>\n' +
+        '<link rel=stylesheet href=\'5678.bar.css\'>\n<div style="background: url(1234.image.png)"></div>\n<img src=missing.png alt=x>');
+      assert.deepEqual(hp.report.untouched, [{src: 'missing.png', line: 4}]);
+    });
+
+    it('should add the integrity digest after unquoted references', function () {
+      var hp = new HTMLProcessor('index.html', '', fakeFinder({
+        find: function (s) {
+          return s;
+        },
+        resolve: function (s) {
+          return s;
+        }
+      }), null, {integrity: true, readFile: function () {
+        return 'alert(1);';
+      }});
+      var digest = 'sha384-' + require('crypto').createHash('sha384').update('alert(1);').digest('base64');
+      assert.equal(hp.replaceWithRevved('<script src=app.js></script>'), '<script src=app.js integrity="' + digest + '"></script>');
+    });
+
     it('should not replace file if no revved version is found', function () {
       var content = '<script src="bar.js"></script>';
       var hp = new HTMLProcessor('myfile.txt', content, revvedfinder);
@@ -182,6 +729,13 @@ describe('htmlprocessor', function () {
       assert.equal(replaced, '<script src="http://bar/foo.js"></script>');
     });
 
+    it('should replace each script source of a line', function () {
+      var content = '<script src="foo.js"></script><script defer src="foo.js"></script>';
+      var hp = new HTMLProcessor('myfile.txt', content, revvedfinder);
+      var replaced = hp.replaceWithRevved();
+      assert.equal(replaced, '<script src="1234.foo.js"></script><script defer src="1234.foo.js"></script>');
+    });
+
     it('should replace script source with revved version', function () {
       var content = '<script src="foo.js"></script>';
       var hp = new HTMLProcessor('myfile.txt', content, revvedfinder);
@@ -233,6 +787,74 @@ describe('htmlprocessor', function () {
 
   });
 
+  describe('patterns', function () {
+    it('should use the furnished patterns along the default ones', function () {
+      var hp = new HTMLProcessor('index.html', '', revvedfinder, null, {
+        patterns: [
+          [/<video[^\>]+poster=['"]([^"']+)["']/gm, 'Update the videos poster'],
+          [/<meta[^\>]+property=['"]og:image['"][^\>]+content=['"]([^"']+)["']/gm, 'Update the Open Graph image'],
+          [/ng-src=['"]([^"']+)["']/gm, 'Update the AngularJS sources']
+        ]
+      });
+      var content = '<video poster="image.png"></video>\n<meta property="og:image" content="image.png">\n' +
+        '<img ng-src="image.png">\n<script src="foo.js"></script>';
+      assert.equal(hp.replaceWithRevved(content), '<video poster="1234.image.png"></video>\n' +
+        '<meta property="og:image" content="1234.image.png">\n<img ng-src="1234.image.png">\n<script src="1234.foo.js"></script>');
+    });
+
+    it('should replace the default patterns by the ones returned by the furnished function', function () {
+      var hp = new HTMLProcessor('index.html', '', revvedfinder, null, {
+        patterns: function (defaults) {
+          assert.equal(defaults, HTMLProcessor.patterns);
+          return [[/<object[^\>]+data=['"]([^"']+)["']/gm, 'Update the objects']];
+        }
+      });
+      var content = '<object data="image.png"></object>\n<script src="foo.js"></script>';
+      assert.equal(hp.replaceWithRevved(content), '<object data="1234.image.png"></object>\n<script src="foo.js"></script>');
+    });
+  });
+
+  describe('report', function () {
+    it('should record collapsed blocks and replaced references', function () {
+      var content = '<!-- build:js foo.js -->\n' +
+      '<script src="scripts/bar.js"></script>\n' +
+      '<!-- endbuild -->\n' +
+      '<img src="image.png"><img src="http://foo/bar.png">';
+      var hp = new HTMLProcessor('myfile.txt', content, revvedfinder);
+      hp.process();
+      assert.deepEqual(hp.report.blocks, [{
+        type: 'js',
+        dest: 'foo.js',
+        src: ['scripts/bar.js'],
+        replacement: '<script src="foo.js"></script>'
+      }]);
+      assert.deepEqual(hp.report.replaced, [
+        { from: 'foo.js', to: '1234.foo.js', line: 1 },
+        { from: 'image.png', to: '1234.image.png', line: 4 }
+      ]);
+      assert.deepEqual(hp.report.untouched, [{ src: 'http://foo/bar.png', line: 4 }]);
+    });
+
+    it('should record the line of the references in the original content', function () {
+      var content = '<!-- build:js foo.js -->\n' +
+      '<script src="scripts/bar.js"></script>\n' +
+      '<!-- endbuild -->\n' +
+      '<img src="foo.png">\n' +
+      '<!-- build:css baz.css -->\n' +
+      '<link rel="stylesheet" href="styles/bar.css">\n' +
+      '<link rel="stylesheet" href="styles/baz.css">\n' +
+      '<!-- endbuild -->\n' +
+      '<img src="bar.png">';
+      var hp = new HTMLProcessor('myfile.txt', content, revvedfinder);
+      hp.process();
+      assert.deepEqual(hp.report.untouched, [
+        { src: 'baz.css', line: 5 },
+        { src: 'foo.png', line: 4 },
+        { src: 'bar.png', line: 9 }
+      ]);
+    });
+  });
+
   describe('process', function () {
     it('should replace blocks by targets and references by revved versions', function () {
       var content = '  <!-- build:js foo.js -->\n'  +
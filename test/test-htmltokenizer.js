@@ -0,0 +1,68 @@
+'use strict';
+var assert = require('assert');
+var tokenize = require('../lib/htmltokenizer');
+
+describe('htmltokenizer', function () {
+  it('should return comments with their offsets', function () {
+    var content = 'foo <!-- build:js foo.js --> bar';
+    var tokens = tokenize(content);
+    assert.equal(1, tokens.length);
+    assert.equal('comment', tokens[0].type);
+    assert.equal(' build:js foo.js ', tokens[0].text);
+    assert.equal(4, tokens[0].start);
+    assert.equal(28, tokens[0].end);
+  });
+
+  it('should return tags and end tags with their attributes', function () {
+    var content = '<script src="foo.js" defer></script><link rel=stylesheet href=\'bar.css\'/>';
+    var tokens = tokenize(content);
+    assert.equal(3, tokens.length);
+    assert.equal('tag', tokens[0].type);
+    assert.equal('script', tokens[0].name);
+    assert.deepEqual(tokens[0].attrs, {src: 'foo.js', defer: null});
+    assert.equal(0, tokens[0].start);
+    assert.equal(27, tokens[0].end);
+    assert.equal('endtag', tokens[1].type);
+    assert.equal('script', tokens[1].name);
+    assert.equal(36, tokens[1].end);
+    assert.deepEqual(tokens[2].attrs, {rel: 'stylesheet', href: 'bar.css'});
+    assert.ok(tokens[2].selfClosing);
+    assert.equal(content.length, tokens[2].end);
+  });
+
+  it('should record the offsets of the attributes', function () {
+    var content = '<img  SRC = "pic.png" alt=foo>';
+    var attr = tokenize(content)[0].attributes[0];
+    assert.equal('src', attr.name);
+    assert.equal('SRC', content.slice(attr.start, attr.start + 3));
+    assert.equal('pic.png', content.slice(attr.valueStart, attr.valueEnd));
+    assert.equal('SRC = "pic.png"', content.slice(attr.start, attr.end));
+  });
+
+  it('should handle attributes spanning several lines', function () {
+    var content = '<script\n  type="text/javascript"\n  src="foo.js"\n></script>';
+    var tokens = tokenize(content);
+    assert.equal('foo.js', tokens[0].attrs.src);
+    assert.equal('text/javascript', tokens[0].attrs.type);
+  });
+
+  it('should not look into raw text elements', function () {
+    var content = '<script>document.write(\'<script src="foo.js"><\\/script>\')</script><style>a > b {}</style>';
+    var tokens = tokenize(content);
+    assert.deepEqual(tokens.map(function (t) {
+      return t.type + ':' + t.name;
+    }), ['tag:script', 'endtag:script', 'tag:style', 'endtag:style']);
+  });
+
+  it('should skip doctype, text and templating', function () {
+    var content = '<!DOCTYPE html>a < b <%= foo %> <p>';
+    var tokens = tokenize(content);
+    assert.equal(1, tokens.length);
+    assert.equal('p', tokens[0].name);
+  });
+
+  it('should handle unterminated markup', function () {
+    assert.equal(' foo', tokenize('<!-- foo')[0].text);
+    assert.equal('foo.js', tokenize('<script src="foo.js')[0].attrs.src);
+  });
+});
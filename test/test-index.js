@@ -0,0 +1,150 @@
+'use strict';
+var assert = require('assert');
+var usemin = require('../lib');
+
+describe('API', function () {
+  // in-memory file system, indexed by path from the cwd
+  var memfs = function (files) {
+    var isDir = function (p) {
+      return Object.keys(files).some(function (f) {
+        return p === '.' || f.indexOf(p + '/') === 0;
+      });
+    };
+    return {
+      existsSync: function (p) {
+        return files.hasOwnProperty(p) || isDir(p);
+      },
+      statSync: function (p) {
+        return {
+          isFile: function () {
+            return files.hasOwnProperty(p);
+          },
+          isDirectory: function () {
+            return !files.hasOwnProperty(p) && isDir(p);
+          }
+        };
+      },
+      lstatSync: function (p) {
+        return this.statSync(p);
+      },
+      readFileSync: function (p) {
+        if (!files.hasOwnProperty(p)) {
+          throw new Error('ENOENT, no such file ' + p);
+        }
+        return files[p];
+      },
+      readdirSync: function (p) {
+        var prefix = p === '.' ? '' : p + '/';
+        return Object.keys(files).filter(function (f) {
+          return f.indexOf(prefix) === 0;
+        }).map(function (f) {
+          return f.substr(prefix.length).split('/')[0];
+        }).filter(function (name, i, names) {
+          return names.indexOf(name) === i;
+        });
+      }
+    };
+  };
+
+  var html = '<!-- build:js scripts/app.js -->\n<script src="scripts/foo.js"></script>\n<script src="scripts/bar.js"></script>\n<!-- endbuild -->\n' +
+    '<img src="images/pic.png">\n';
+
+  it('should expose the processors', function () {
+    assert.equal(usemin.HTMLProcessor, require('../lib/htmlprocessor'));
+    assert.equal(usemin.CSSProcessor, require('../lib/cssprocessor'));
+    assert.equal(usemin.JSProcessor, require('../lib/jsprocessor'));
+    assert.equal(usemin.RevvedFinder, require('../lib/revvedfinder'));
+    assert.equal(usemin.ConfigWriter, require('../lib/configwriter'));
+  });
+
+  it('should return the blocks of an HTML content', function () {
+    var blocks = usemin.getBlocks('app/index.html', html);
+    assert.equal(blocks.length, 1);
+    assert.equal(blocks[0].dest, 'app/scripts/app.js');
+    assert.deepEqual(blocks[0].src, ['app/scripts/foo.js', 'app/scripts/bar.js']);
+  });
+
+  it('should look for the sources of the blocks through the furnished fs', function () {
+    var content = '<!-- build:js({.tmp,app}) scripts/app.js -->\n<script src="scripts/foo.js"></script>\n<!-- endbuild -->\n';
+    var blocks = usemin.getBlocks('index.html', content, {fs: memfs({'app/scripts/foo.js': ''})});
+    assert.deepEqual(blocks[0].src, ['app/scripts/foo.js']);
+  });
+
+  it('should return the config of the blocks', function () {
+    var logs = [];
+    var config = usemin.prepare('app/index.html', {
+      fs: memfs({'app/index.html': html}),
+      flow: {js: ['concat', 'uglifyjs']},
+      log: function (msg) {
+        logs.push(msg);
+      }
+    });
+    assert.deepEqual(config.concat['app/scripts/app.js'], ['app/scripts/foo.js', 'app/scripts/bar.js']);
+    assert.deepEqual(config.uglify['app/scripts/app.js'], {src: ['app/scripts/app.js'], dest: 'app/scripts/app.js'});
+    assert.deepEqual(logs, ['Found a block: js app/scripts/app.js']);
+  });
+
+  it('should process a file, looking for revved files through the furnished fs', function () {
+    var result = usemin.process('index.html', html, {
+      fs: memfs({'images/2123.pic.png': '', 'scripts/1234.app.js': ''})
+    });
+    assert.equal(result.content, '<script src="scripts/1234.app.js"></script>\n<img src="images/2123.pic.png">\n');
+    assert.deepEqual(result.report.replaced.map(function (r) {
+      return r.to;
+    }), ['scripts/1234.app.js', 'images/2123.pic.png']);
+  });
+
+  it('should not look for revved files in dot directories nor through directory links', function () {
+    // as with grunt.file.expand, .tmp is not looked into
+    var fs = memfs({'.tmp/images/2123.pic.png': '', 'scripts/app.js': ''});
+    var statSync = fs.statSync;
+    var readdirSync = fs.readdirSync;
+    // scripts/loop links to scripts
+    fs.statSync = function (p) {
+      return (/(^|\/)loop$/).test(p) ? statSync('scripts') : statSync(p);
+    };
+    fs.lstatSync = function (p) {
+      return (/(^|\/)loop$/).test(p) ? statSync('scripts/app.js') : statSync(p);
+    };
+    fs.readdirSync = function (p) {
+      return (/(^|\/)(scripts|loop)$/).test(p) ? ['app.js', 'loop'] : readdirSync(p);
+    };
+    var result = usemin.process('index.html', '<img src="images/pic.png">\n', {fs: fs, assetsDirs: ['.tmp']});
+    assert.equal(result.content, '<img src="images/pic.png">\n');
+  });
+
+  it('should read the furnished manifest through the furnished fs', function () {
+    var result = usemin.process('main.css', 'body { background: url(images/pic.png); }', {
+      fs: memfs({'manifest.json': '{"images/pic.png": "images/pic.5678.png"}'}),
+      manifest: 'manifest.json'
+    });
+    assert.equal(result.content, 'body { background: url(images/pic.5678.png); }');
+  });
+
+  it('should walk the disk once for the files sharing a revved version locator', function () {
+    var fs = memfs({'images/2123.pic.png': ''});
+    var readdirSync = fs.readdirSync;
+    var walks = 0;
+    fs.readdirSync = function (p) {
+      walks += p === '.' ? 1 : 0;
+      return readdirSync(p);
+    };
+    var finder = usemin.revvedFinder({fs: fs});
+    assert.ok(finder instanceof usemin.RevvedFinder);
+    ['a.html', 'b.html'].forEach(function (filepath) {
+      var result = usemin.process(filepath, '<img src="images/pic.png">\n', {fs: fs, revvedfinder: finder});
+      assert.equal(result.content, '<img src="images/2123.pic.png">\n');
+    });
+    assert.equal(walks, 1);
+
+    finder.invalidate();
+    usemin.process('c.html', '<img src="images/pic.png">\n', {fs: fs, revvedfinder: finder});
+    assert.equal(walks, 2);
+  });
+
+  it('should throw on unknown file type', function () {
+    assert.throws(function () {
+      usemin.process('foo.txt', '');
+    }, /Unknown file type "txt"/);
+  });
+});
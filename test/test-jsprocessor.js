@@ -0,0 +1,87 @@
+'use strict';
+var assert = require('assert');
+var JSProcessor = require('../lib/jsprocessor');
+var fakeFinder = require('./helpers').fakeFinder;
+
+describe('jsprocessor', function () {
+  it('should initialize correctly', function () {
+    var jp = new JSProcessor('myfile.js', '\n', 3);
+    assert(jp !== null);
+    assert.equal(3, jp.revvedfinder);
+    assert.equal('\n', jp.linefeed);
+  });
+
+  describe('process', function () {
+    var mapping = {
+      'app.js.map': '2123.app.js.map'
+    };
+    var revvedfinder = fakeFinder({
+      find: function (s) {
+        return mapping[s] || s;
+      }
+    });
+
+    it('should update the source map reference', function () {
+      var content = 'var a = 1;\n//# sourceMappingURL=app.js.map';
+      var jp = new JSProcessor('app.js', content, revvedfinder);
+      assert.equal(jp.process(), 'var a = 1;\n//# sourceMappingURL=2123.app.js.map');
+      assert.deepEqual(jp.report.replaced, [{ from: 'app.js.map', to: '2123.app.js.map', line: 2 }]);
+    });
+
+    it('should handle the deprecated syntax', function () {
+      var jp = new JSProcessor('app.js', '//@ sourceMappingURL=app.js.map', revvedfinder);
+      assert.equal(jp.process(), '//@ sourceMappingURL=2123.app.js.map');
+    });
+
+    it('should record source maps not revved', function () {
+      var jp = new JSProcessor('vendor.js', '//# sourceMappingURL=vendor.js.map\n', revvedfinder);
+      assert.equal(jp.process(), '//# sourceMappingURL=vendor.js.map\n');
+      assert.deepEqual(jp.report.untouched, [{ src: 'vendor.js.map', line: 1 }]);
+    });
+
+    it('should update the string literals referencing assets', function () {
+      var finder = fakeFinder({
+        find: function (s) {
+          return s.replace(/^images\//, 'images/2123.');
+        }
+      });
+      var content = 'var logo = "images/logo.png";\nel.src = \'images/icon.svg\';\nvar name = "images/logo";';
+      var jp = new JSProcessor('app.js', content, finder);
+      assert.equal(jp.process(), 'var logo = "images/2123.logo.png";\nel.src = \'images/2123.icon.svg\';\nvar name = "images/logo";');
+      assert.deepEqual(jp.report.replaced[1], { from: 'images/icon.svg', to: 'images/2123.icon.svg', line: 2 });
+    });
+
+    it('should only look for the furnished extensions', function () {
+      var finder = fakeFinder({
+        find: function (s) {
+          return 'x' + s;
+        }
+      });
+      var jp = new JSProcessor('app.js', '["a.png", "b.tpl"]', finder, null, {extensions: ['tpl']});
+      assert.equal(jp.process(), '["a.png", "xb.tpl"]');
+    });
+
+    it('should use the furnished patterns', function () {
+      var finder = fakeFinder({
+        find: function (s) {
+          return s === 'partials/nav' ? 'partials/2123.nav' : s;
+        }
+      });
+      var jp = new JSProcessor('app.js', 'template: tpl(partials/nav)', finder, null, {
+        patterns: [[/tpl\(([^\)]+)\)/gm, 'Update the templates']]
+      });
+      assert.equal(jp.process(), 'template: tpl(partials/2123.nav)');
+    });
+
+    it('should look for revved files from the dest location', function () {
+      var finder = fakeFinder({
+        find: function (s, basedir) {
+          assert.equal('dist/scripts', basedir);
+          return s;
+        }
+      });
+      var jp = new JSProcessor('app/scripts/app.js', '//# sourceMappingURL=app.js.map', finder, null, {dest: 'dist/scripts/app.js'});
+      jp.process();
+    });
+  });
+});
@@ -1,4 +1,5 @@
 'use strict';
+var path = require('path');
 var assert = require('assert');
 var RevvedFinder = require('../lib/revvedfinder');
 var expandfn = function () {
@@ -11,6 +12,113 @@ describe('RevvedFinder', function () {
     assert.equal(expandfn, rf.expandfn);
   });
 
+  it('should accept a manifest', function () {
+    var rf = new RevvedFinder(expandfn, {manifest: {'./images/pic.png': 'images/pic.1234.png'}});
+    assert.deepEqual(rf.manifest, {'images/pic.png': 'images/pic.1234.png'});
+  });
+
+  it('should resolve the manifest paths from the furnished base', function () {
+    var rf = new RevvedFinder(expandfn, {manifest: {'app.js': 'app-d41d8cd9.js', 'images/pic.png': 'images/pic-1234.png'}, manifestBase: 'dist'});
+    assert.deepEqual(rf.manifest, {'dist/app.js': 'dist/app-d41d8cd9.js', 'dist/images/pic.png': 'dist/images/pic-1234.png'});
+    assert.equal(rf.find('app.js', 'dist'), 'app-d41d8cd9.js');
+  });
+
+  it('should read the manifest from a JSON file', function () {
+    var rf = new RevvedFinder(expandfn, {manifest: path.join(__dirname, 'fixtures/manifest.json')});
+    assert.equal(rf.manifest['images/test.png'], 'images/test.8a3f21.png');
+  });
+
+  it('should tell whether a reference is local', function () {
+    assert.ok(RevvedFinder.isLocal('images/pic.png'));
+    assert.ok(RevvedFinder.isLocal('/images/pic.png'));
+    assert.ok(RevvedFinder.isLocal('../pic.png?v=1'));
+    assert.ok(!RevvedFinder.isLocal(''));
+    assert.ok(!RevvedFinder.isLocal('/'));
+    assert.ok(!RevvedFinder.isLocal('//cdn/pic.png'));
+    assert.ok(!RevvedFinder.isLocal('http://foo/pic.png'));
+    assert.ok(!RevvedFinder.isLocal('#local'));
+    assert.ok(!RevvedFinder.isLocal('mailto:foo@bar.com'));
+    assert.ok(!RevvedFinder.isLocal('data:image/png;base64,AAAA'));
+    assert.ok(!RevvedFinder.isLocal('<% my_func() %>'));
+    assert.ok(!RevvedFinder.isLocal('{{ url }}'));
+  });
+
+  describe('resolve', function () {
+    it('should return the path of the referenced file', function () {
+      var rf = new RevvedFinder(expandfn);
+      assert.equal(rf.resolve('fixtures/usemin.html?v=1', __dirname), path.join(__dirname, 'fixtures/usemin.html'));
+    });
+
+    it('should look for absolute references into the root', function () {
+      var rf = new RevvedFinder(expandfn, {root: __dirname});
+      assert.equal(rf.resolve('/fixtures/usemin.html', 'foo'), path.join(__dirname, 'fixtures/usemin.html'));
+    });
+
+    it('should return null when there is no such file', function () {
+      var rf = new RevvedFinder(expandfn);
+      assert.equal(rf.resolve('fixtures/missing.js', __dirname), null);
+      assert.equal(rf.resolve('fixtures', __dirname), null);
+    });
+  });
+
+  describe('toUrl', function () {
+    it('should prefix the references to local files with the base URL', function () {
+      var rf = new RevvedFinder(expandfn, {root: __dirname, baseUrl: 'https://cdn.example.com/'});
+      assert.equal(rf.toUrl('../fixtures/usemin.html?v=1', path.join(__dirname, 'fixtures')), 'https://cdn.example.com/fixtures/usemin.html?v=1');
+      assert.equal(rf.toUrl('/fixtures/usemin.html', 'foo'), 'https://cdn.example.com/fixtures/usemin.html');
+    });
+
+    it('should leave external references and missing files as is', function () {
+      var rf = new RevvedFinder(expandfn, {root: __dirname, baseUrl: 'https://cdn.example.com'});
+      assert.equal(rf.toUrl('http://foo/usemin.html', __dirname), 'http://foo/usemin.html');
+      assert.equal(rf.toUrl('fixtures/missing.png', __dirname), 'fixtures/missing.png');
+    });
+
+    it('should use the furnished function', function () {
+      var rf = new RevvedFinder(expandfn, {root: __dirname, baseUrl: function (file) {
+        return (/\.html$/).test(file) ? '//cdn/' + file : null;
+      }});
+      assert.equal(rf.toUrl('fixtures/usemin.html', __dirname), '//cdn/fixtures/usemin.html');
+      assert.equal(rf.toUrl('fixtures/style.css', __dirname), 'fixtures/style.css');
+    });
+  });
+
+  describe('replace', function () {
+    var processor = function () {
+      return {
+        dest: path.join(__dirname, 'fixtures/index.html'),
+        messages: [],
+        log: function (msg) {
+          this.messages.push(msg);
+        },
+        report: {replaced: [], revved: [], untouched: []}
+      };
+    };
+
+    it('should replace the reference and record it', function () {
+      var rf = new RevvedFinder(expandfn, {root: __dirname, baseUrl: 'https://cdn'});
+      rf.find = function (ref) {
+        return ref === 'usemin.html' ? 'style.css' : ref;
+      };
+      var proc = processor();
+      assert.deepEqual(rf.replace(proc, 'href="usemin.html"', 'usemin.html', 3), {
+        match: 'href="https://cdn/fixtures/style.css"',
+        file: 'style.css'
+      });
+      assert.equal(rf.replace(proc, 'href="usemin.html"', 'usemin.html', 4, false).match, 'href="style.css"');
+      assert.deepEqual(rf.replace(proc, 'src="foo.png"', 'foo.png', 5), {match: 'src="foo.png"', file: 'foo.png'});
+      assert.deepEqual(proc.report, {
+        replaced: [
+          {from: 'usemin.html', to: 'https://cdn/fixtures/style.css', line: 3},
+          {from: 'usemin.html', to: 'style.css', line: 4}
+        ],
+        revved: [],
+        untouched: [{src: 'foo.png', line: 5}]
+      });
+      assert.deepEqual(proc.messages, ['href="usemin.html" changed to href="https://cdn/fixtures/style.css"', 'href="usemin.html" changed to href="style.css"']);
+    });
+  });
+
   describe('find', function () {
     it('should return the file if it\'s external', function () {
       var rf = new RevvedFinder(expandfn);
@@ -61,5 +169,161 @@ describe('RevvedFinder', function () {
       });
       assert.equal('fred.html', rf.find('fred.html', '.'));
     });
+
+    it('should look on disk only once', function () {
+      var calls = 0;
+      var rf = new RevvedFinder(function () {
+        calls++;
+        return ['2345.image.png', 'bar/1234.foo.png'];
+      });
+      assert.equal('2345.image.png', rf.find('image.png', '.'));
+      assert.equal('bar/1234.foo.png', rf.find('bar/foo.png', '.'));
+      assert.equal('foo.png', rf.find('foo.png', '.'));
+      assert.equal(1, calls);
+    });
+
+    it('should tell whether a reference points to a revved file on disk', function () {
+      var rf = new RevvedFinder(function () {
+        return ['bar/1234.foo.png', 'bar/baz.png'];
+      });
+      assert.ok(rf.isRevved('1234.foo.png', 'bar'));
+      assert.ok(!rf.isRevved('baz.png', 'bar'));
+      assert.ok(!rf.isRevved('foo.png', 'bar'));
+    });
+
+    it('should record the references already revved', function () {
+      var rf = new RevvedFinder(expandfn, {manifest: {'images/pic.png': 'images/pic.1234.png'}});
+      var proc = {dest: 'index.html', log: function () {}, report: {replaced: [], revved: [], untouched: []}};
+      rf.replace(proc, 'src="images/pic.1234.png"', 'images/pic.1234.png', 2);
+      assert.deepEqual(proc.report, {replaced: [], revved: [{src: 'images/pic.1234.png', line: 2}], untouched: []});
+    });
+
+    it('should look on disk again once invalidated', function () {
+      var files = [];
+      var rf = new RevvedFinder(function () {
+        return files;
+      });
+      assert.equal('image.png', rf.find('image.png', '.'));
+      files = ['2345.image.png'];
+      assert.equal('image.png', rf.find('image.png', '.'));
+      rf.invalidate();
+      assert.equal('2345.image.png', rf.find('image.png', '.'));
+    });
+
+    describe('with a revving pattern', function () {
+      var files = ['images/a1b2c3d4.pic.png', 'images/logo.0f1e2d3c.png', 'images/2123.misc.png'];
+      var expand = function () {
+        return files;
+      };
+
+      it('should use the hashPrefix preset', function () {
+        var rf = new RevvedFinder(expand, {pattern: 'hashPrefix'});
+        assert.equal('images/a1b2c3d4.pic.png', rf.find('images/pic.png', '.'));
+        assert.equal('images/misc.png', rf.find('images/misc.png', '.'));
+      });
+
+      it('should use the hashSuffix preset', function () {
+        var rf = new RevvedFinder(expand, {pattern: 'hashSuffix'});
+        assert.equal('images/logo.0f1e2d3c.png', rf.find('images/logo.png', '.'));
+        assert.equal('images/pic.png', rf.find('images/pic.png', '.'));
+      });
+
+      it('should use the furnished regexp', function () {
+        var rf = new RevvedFinder(expand, {pattern: /^(logo)\.[0-9a-f]+(\.png)$/});
+        assert.equal('images/logo.0f1e2d3c.png', rf.find('images/logo.png', '.'));
+      });
+
+      it('should use the furnished function', function () {
+        var rf = new RevvedFinder(expand, {
+          pattern: function (basename) {
+            return basename.split('.').slice(1).join('.');
+          }
+        });
+        assert.equal('images/2123.misc.png', rf.find('images/misc.png', '.'));
+      });
+
+      it('should throw on unknown preset', function () {
+        assert.throws(function () {
+          return new RevvedFinder(expand, {pattern: 'foo'});
+        }, /Unknown revving pattern "foo"/);
+      });
+
+      it('should append a query string with the query preset', function () {
+        var rf = new RevvedFinder(function () {
+          return ['test/fixtures/style.css'];
+        }, {pattern: 'query'});
+        var revved = rf.find('fixtures/style.css', 'test');
+        assert.ok(revved.match(/^fixtures\/style\.css\?v=[0-9a-f]{8}$/));
+        assert.equal('fixtures/foo.css', rf.find('fixtures/foo.css', 'test'));
+      });
+    });
+
+    describe('with assetsDirs', function () {
+      var expand = function () {
+        return ['public/images/2123.pic.png', 'tmp/images/5678.logo.png', 'public/images/1234.logo.png', 'www/3456.foo.png'];
+      };
+
+      it('should look into the furnished directories', function () {
+        var rf = new RevvedFinder(expand, {assetsDirs: 'public'});
+        assert.equal('images/2123.pic.png', rf.find('images/pic.png', 'views'));
+        assert.equal('/images/2123.pic.png', rf.find('/images/pic.png', 'views'));
+      });
+
+      it('should look into the directories in order', function () {
+        var rf = new RevvedFinder(expand, {assetsDirs: ['tmp', 'public']});
+        assert.equal('images/5678.logo.png', rf.find('images/logo.png', 'views'));
+        assert.equal('images/2123.pic.png', rf.find('images/pic.png', 'views'));
+      });
+
+      it('should not look into the directory of the referencing file', function () {
+        var rf = new RevvedFinder(expand, {assetsDirs: ['tmp']});
+        assert.equal('images/pic.png', rf.find('images/pic.png', 'public'));
+      });
+
+      it('should look for absolute references into the root', function () {
+        var rf = new RevvedFinder(expand, {assetsDirs: ['public'], root: 'www'});
+        assert.equal('/3456.foo.png', rf.find('/foo.png', 'views'));
+        assert.equal('/images/pic.png', rf.find('/images/pic.png', 'views'));
+        assert.equal('images/2123.pic.png', rf.find('images/pic.png', 'views'));
+      });
+    });
+
+    describe('with a manifest', function () {
+      var manifest = {
+        'images/pic.png': 'images/pic.a1b2c3.png',
+        'build/css/main.css': 'build/css/main-1f2e.css',
+        'images/moved.png': 'static/moved.5678.png'
+      };
+      var rf = new RevvedFinder(function () {
+        throw new Error('should not look on disk');
+      }, {manifest: manifest});
+
+      it('should return the revved version from the manifest', function () {
+        assert.equal('images/pic.a1b2c3.png', rf.find('images/pic.png', '.'));
+      });
+
+      it('should take into account the referencing directory', function () {
+        assert.equal('../../images/pic.a1b2c3.png', rf.find('../../images/pic.png', 'build/css'));
+        assert.equal('main-1f2e.css', rf.find('main.css', 'build/css'));
+      });
+
+      it('should pay attention to the file starting at root', function () {
+        assert.equal('/images/pic.a1b2c3.png', rf.find('/images/pic.png', '.'));
+      });
+
+      it('should handle revved version living in another directory', function () {
+        assert.equal('static/moved.5678.png', rf.find('images/moved.png', '.'));
+      });
+
+      it('should return the file if it is not in the manifest', function () {
+        assert.equal('images/foo.png', rf.find('images/foo.png', '.'));
+      });
+
+      it('should tell whether a reference points to a revved file of the manifest', function () {
+        assert.ok(rf.isRevved('../../images/pic.a1b2c3.png', 'build/css'));
+        assert.ok(rf.isRevved('/static/moved.5678.png?v=1', '.'));
+        assert.ok(!rf.isRevved('images/pic.png', '.'));
+      });
+    });
   });
 });
@@ -0,0 +1,47 @@
+'use strict';
+var fs = require('fs');
+var path = require('path');
+var crypto = require('crypto');
+var assert = require('assert');
+var mkdirp = require('mkdirp');
+var Revver = require('../lib/revver');
+
+describe('Revver', function () {
+  var md5 = function (content) {
+    return crypto.createHash('md5').update(content).digest('hex');
+  };
+
+  it('should initialize correctly', function () {
+    var revver = new Revver();
+    assert.equal(revver.algorithm, 'md5');
+    assert.equal(revver.length, 8);
+    assert.deepEqual(revver.manifest, {});
+  });
+
+  it('should compute the revved path of a file', function () {
+    var revver = new Revver();
+    assert.equal(revver.revvedPath('images/pic.png', 'foo'), 'images/' + md5('foo').substr(0, 8) + '.pic.png');
+  });
+
+  it('should use the furnished algorithm and length', function () {
+    var revver = new Revver({algorithm: 'sha1', length: 4});
+    var sha1 = crypto.createHash('sha1').update('foo').digest('hex');
+    assert.equal(revver.revvedPath('pic.png', 'foo'), sha1.substr(0, 4) + '.pic.png');
+  });
+
+  it('should rename the file and record it', function () {
+    var dir = path.join(__dirname, 'temp', 'revver');
+    var filepath = path.join(dir, 'pic.png');
+    mkdirp.sync(dir);
+    fs.writeFileSync(filepath, 'foo');
+
+    var revver = new Revver();
+    var revved = revver.rev(filepath);
+
+    assert.equal(revved, path.join(dir, md5('foo').substr(0, 8) + '.pic.png').replace(/\\/g, '/'));
+    assert.ok(fs.existsSync(revved));
+    assert.ok(!fs.existsSync(filepath));
+    assert.equal(revver.manifest[filepath.replace(/\\/g, '/')], revved);
+    fs.unlinkSync(revved);
+  });
+});
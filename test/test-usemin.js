@@ -29,6 +29,31 @@ var directory = function directory(dir) {
   };
 };
 
+//
+// Runs +fn+, returning the messages it warned about through grunt.log.warn, and
+// the ones it failed with through grunt.fail.warn
+//
+var captureWarnings = function captureWarnings(fn) {
+  var warnings = [];
+  var failures = [];
+  var warn = grunt.log.warn;
+  var failWarn = grunt.fail.warn;
+  grunt.log.warn = function (msg) {
+    warnings.push(msg);
+    return grunt.log;
+  };
+  grunt.fail.warn = function (msg) {
+    failures.push(msg);
+  };
+  try {
+    fn();
+  } finally {
+    grunt.log.warn = warn;
+    grunt.fail.warn = failWarn;
+  }
+  return { warnings: warnings, failures: failures };
+};
+
 describe('usemin', function () {
   before(directory('temp'));
 
@@ -153,6 +178,634 @@ describe('usemin', function () {
     assert.ok(changed.match('<a href="foo.html"></a>'));
   });
 
+  it('should use the manifest when furnished', function () {
+    grunt.file.mkdir('images');
+    grunt.file.write('images/23012.test.png', 'foo');
+    grunt.log.muted = true;
+    grunt.config.init();
+    grunt.config('usemin', {
+      options: {
+        manifest: path.join(__dirname, 'fixtures/manifest.json')
+      },
+      html: 'index.html'
+    });
+    grunt.file.copy(path.join(__dirname, 'fixtures/usemin.html'), 'index.html');
+    grunt.task.run('usemin');
+    grunt.task.start();
+
+    var changed = grunt.file.read('index.html');
+
+    assert.ok(changed.match(/img[^\>]+src=['"]images\/test\.8a3f21\.png["']/));
+    assert.ok(changed.match(/img[^\>]+src=['"]images\/misc\/test\.d41d8c\.png["']/));
+    assert.ok(changed.match(/img[^\>]+src=['"]\/images\/test\.8a3f21\.png["']/));
+    assert.ok(!changed.match(/23012\.test\.png/));
+  });
+
+  it('should resolve the manifest paths from the manifestBase', function () {
+    grunt.log.muted = true;
+    grunt.config.init();
+    grunt.config('usemin', {
+      options: {
+        manifest: path.join(__dirname, 'fixtures/manifest.json'),
+        manifestBase: 'out'
+      },
+      html: 'out/index.html'
+    });
+    grunt.file.write('out/index.html', '<img src="images/test.png">\n<img src="/images/misc/test.png">\n');
+    grunt.task.run('usemin');
+    grunt.task.start();
+
+    assert.equal(grunt.file.read('out/index.html'), '<img src="images/test.8a3f21.png">\n<img src="/images/misc/test.d41d8c.png">\n');
+  });
+
+  it('should not report the references already revved as missing', function () {
+    grunt.log.muted = true;
+    grunt.config.init();
+    grunt.config('usemin', {
+      options: {
+        manifest: {
+          'already/images/pic.png': 'already/images/ed09636a.pic.png',
+          'already/styles/main.css': 'already/styles/1f2e3d4c.main.css'
+        },
+        failOnMissing: true
+      },
+      css: 'already/styles/1f2e3d4c.main.css'
+    });
+    grunt.file.write('already/styles/1f2e3d4c.main.css', 'body { background: url("../images/ed09636a.pic.png"); }\n');
+    var res = captureWarnings(function () {
+      grunt.task.run('usemin');
+      grunt.task.start();
+    });
+
+    assert.deepEqual(res.failures, []);
+  });
+
+  it('should replace and check the unquoted references', function () {
+    grunt.log.muted = true;
+    grunt.config.init();
+    grunt.config('usemin', {
+      options: {
+        manifest: {'unquoted/images/test.png': 'unquoted/images/test.8a3f21.png'},
+        failOnMissing: true
+      },
+      html: 'unquoted/index.html'
+    });
+    grunt.file.write('unquoted/index.html', '<img src=images/test.png><script src=scripts/app.js></script>\n');
+    var res = captureWarnings(function () {
+      grunt.task.run('usemin');
+      grunt.task.start();
+    });
+
+    assert.equal(grunt.file.read('unquoted/index.html'), '<img src=images/test.8a3f21.png><script src=scripts/app.js></script>\n');
+    assert.equal(res.failures.length, 1);
+    assert.ok(res.failures[0].match(/unquoted\/index\.html:1: scripts\/app\.js/));
+  });
+
+  it('should use the revPattern option to find revved files', function () {
+    grunt.file.mkdir('images');
+    grunt.file.write('images/test.8a3f21d0.png', 'foo');
+    grunt.log.muted = true;
+    grunt.config.init();
+    grunt.config('usemin', {
+      options: {
+        revPattern: 'hashSuffix'
+      },
+      css: 'style.css'
+    });
+    grunt.file.copy(path.join(__dirname, 'fixtures/style.css'), 'style.css');
+    grunt.task.run('usemin');
+    grunt.task.start();
+
+    var changed = grunt.file.read('style.css');
+
+    assert.ok(changed.match(/url\(\"images\/test\.8a3f21d0\.png\"/));
+    assert.ok(changed.match(/url\(\"\/images\/test\.8a3f21d0\.png\"/));
+  });
+
+  it('should look for revved files into the assetsDirs', function () {
+    grunt.log.muted = true;
+    grunt.config.init();
+    grunt.config('usemin', {
+      options: {
+        assetsDirs: ['public']
+      },
+      html: 'views/index.html'
+    });
+    grunt.file.write('public/images/23012.test.png', 'foo');
+    grunt.file.write('public/images/misc/2a436.test.png', 'foo');
+    grunt.file.copy(path.join(__dirname, 'fixtures/usemin.html'), 'views/index.html');
+    grunt.task.run('usemin');
+    grunt.task.start();
+
+    var changed = grunt.file.read('views/index.html');
+
+    assert.ok(changed.match(/img[^\>]+src=['"]images\/23012\.test\.png["']/));
+    assert.ok(changed.match(/img[^\>]+src=['"]images\/misc\/2a436\.test\.png["']/));
+    assert.ok(changed.match(/img[^\>]+src=['"]\/images\/23012\.test\.png["']/));
+  });
+
+  it('should prefix the references to local files with the baseUrl', function () {
+    grunt.log.muted = true;
+    grunt.config.init();
+    grunt.config('usemin', {
+      options: {
+        root: 'cdn',
+        baseUrl: {
+          '*.png': 'https://img.example.com/',
+          'styles/**': 'https://static.example.com'
+        }
+      },
+      html: 'cdn/index.html',
+      css: 'cdn/styles/main.css'
+    });
+    grunt.file.write('cdn/images/23012.test.png', 'foo');
+    grunt.file.write('cdn/styles/main.css', 'body { background: url("../images/test.png"); }');
+    grunt.file.write('cdn/index.html', '<link rel="stylesheet" href="styles/main.css">\n<img src="/images/test.png">\n' +
+      '<a href="about.html">About</a>\n<script src="http://foo/bar.js"></script>\n');
+    grunt.file.write('cdn/about.html', '');
+    grunt.task.run('usemin');
+    grunt.task.start();
+
+    assert.equal(grunt.file.read('cdn/index.html'), '<link rel="stylesheet" href="https://static.example.com/styles/main.css">\n' +
+      '<img src="https://img.example.com/images/23012.test.png">\n<a href="about.html">About</a>\n<script src="http://foo/bar.js"></script>\n');
+    assert.equal(grunt.file.read('cdn/styles/main.css'), 'body { background: url("https://img.example.com/images/23012.test.png"); }');
+  });
+
+  it('should not serve the links to pages from a string baseUrl', function () {
+    grunt.log.muted = true;
+    grunt.config.init();
+    grunt.config('usemin', {
+      options: {
+        root: 'cdn2',
+        baseUrl: 'https://cdn.example.com'
+      },
+      html: 'cdn2/index.html'
+    });
+    grunt.file.write('cdn2/images/23012.test.png', 'foo');
+    grunt.file.write('cdn2/index.html', '<img src="images/test.png">\n<a href="about.html">About</a>\n');
+    grunt.file.write('cdn2/about.html', '');
+    grunt.task.run('usemin');
+    grunt.task.start();
+
+    assert.equal(grunt.file.read('cdn2/index.html'), '<img src="https://cdn.example.com/images/23012.test.png">\n' +
+      '<a href="about.html">About</a>\n');
+  });
+
+  it('should update the source map references of JS files', function () {
+    grunt.log.muted = true;
+    grunt.config.init();
+    grunt.config('usemin', {
+      js: 'maps/app.js'
+    });
+    grunt.file.write('maps/23012.app.js.map', '{}');
+    grunt.file.write('maps/app.js', '(function () {\n}());\n//# sourceMappingURL=app.js.map\n');
+    grunt.task.run('usemin');
+    grunt.task.start();
+
+    assert.equal(grunt.file.read('maps/app.js'), '(function () {\n}());\n//# sourceMappingURL=23012.app.js.map\n');
+  });
+
+  it('should update the assets referenced by JS files', function () {
+    grunt.log.muted = true;
+    grunt.config.init();
+    grunt.config('usemin', {
+      js: 'literals/app.js'
+    });
+    grunt.file.write('literals/images/23012.logo.png', 'foo');
+    grunt.file.write('literals/app.js', 'document.getElementById(\'logo\').src = \'images/logo.png\';\n');
+    grunt.task.run('usemin');
+    grunt.task.start();
+
+    assert.equal(grunt.file.read('literals/app.js'), 'document.getElementById(\'logo\').src = \'images/23012.logo.png\';\n');
+  });
+
+  it('should use the patterns of the target', function () {
+    grunt.log.muted = true;
+    grunt.config.init();
+    grunt.config('usemin', {
+      html: {
+        options: {
+          patterns: [[/ng-include=['"]'([^'"]+)'["']/gm, 'Update the AngularJS includes']]
+        },
+        src: 'ng/index.html'
+      }
+    });
+    grunt.file.write('ng/partials/23012.nav.html', '');
+    grunt.file.write('ng/index.html', '<div ng-include="\'partials/nav.html\'"></div>\n');
+    grunt.task.run('usemin');
+    grunt.task.start();
+
+    assert.equal(grunt.file.read('ng/index.html'), '<div ng-include="\'partials/23012.nav.html\'"></div>\n');
+  });
+
+  it('should write to the dest when furnished', function () {
+    grunt.log.muted = true;
+    grunt.config.init();
+    grunt.config('usemin', {
+      html: {
+        src: 'app/index.html',
+        dest: 'dist/index.html'
+      }
+    });
+    grunt.file.write('dist/images/23012.test.png', 'foo');
+    grunt.file.copy(path.join(__dirname, 'fixtures/usemin.html'), 'app/index.html');
+    grunt.task.run('usemin');
+    grunt.task.start();
+
+    var original = grunt.file.read(path.join(__dirname, 'fixtures/usemin.html'));
+    assert.equal(grunt.file.read('app/index.html'), original);
+
+    var changed = grunt.file.read('dist/index.html');
+    assert.ok(changed.match(/<link rel="stylesheet" href="\/styles\/main\.min\.css">/));
+    assert.ok(changed.match(/<script src="scripts\/amd-app\.js"><\/script>/));
+    assert.ok(changed.match(/img[^\>]+src=['"]images\/23012\.test\.png["']/));
+  });
+
+  it('should write into the dest directory', function () {
+    grunt.log.muted = true;
+    grunt.config.init();
+    grunt.config('usemin', {
+      css: {
+        files: [{expand: true, cwd: 'src', src: 'css/*.css', dest: 'out/'}]
+      }
+    });
+    grunt.file.write('out/css/images/1234.pic.png', 'foo');
+    grunt.file.write('src/css/main.css', '.a { background: url("images/pic.png"); }');
+    grunt.file.write('src/css/other.css', '.b { background: url("images/pic.png"); }');
+    grunt.task.run('usemin');
+    grunt.task.start();
+
+    assert.equal(grunt.file.read('src/css/main.css'), '.a { background: url("images/pic.png"); }');
+    assert.equal(grunt.file.read('out/css/main.css'), '.a { background: url("images/1234.pic.png"); }');
+    assert.equal(grunt.file.read('out/css/other.css'), '.b { background: url("images/1234.pic.png"); }');
+  });
+
+  it('should only write into a dest ending with / or being a directory', function () {
+    grunt.log.muted = true;
+    grunt.config.init();
+    grunt.config('usemin', {
+      html: {
+        src: 'single/app/*.html',
+        dest: 'single/dist'
+      }
+    });
+    grunt.file.write('single/app/index.html', '<p>a</p>\n');
+    grunt.task.run('usemin');
+    grunt.task.start();
+    assert.ok(grunt.file.isFile('single/dist'));
+
+    grunt.file.delete('single/dist');
+    grunt.file.mkdir('single/dist');
+    grunt.task.run('usemin');
+    grunt.task.start();
+    assert.equal(grunt.file.read('single/dist/index.html'), '<p>a</p>\n');
+  });
+
+  it('should fail when several files are written to the same dest', function () {
+    grunt.log.muted = true;
+    grunt.config.init();
+    grunt.config('usemin', {
+      html: {
+        src: ['clash/a/index.html', 'clash/b/index.html'],
+        dest: 'clash/dist/'
+      }
+    });
+    grunt.file.write('clash/a/index.html', '<p>a</p>\n');
+    grunt.file.write('clash/b/index.html', '<p>b</p>\n');
+    var res = captureWarnings(function () {
+      grunt.task.run('usemin');
+      grunt.task.start();
+    });
+
+    assert.equal(res.failures.length, 1);
+    assert.ok(res.failures[0].match(/Both clash\/a\/index\.html and clash\/b\/index\.html would be written to clash\/dist\/index\.html/));
+    assert.equal(grunt.file.read('clash/dist/index.html'), '<p>a</p>\n');
+  });
+
+  it('should not write anything on dry run', function () {
+    var output = [];
+    var writeln = grunt.log.writeln;
+    grunt.log.muted = true;
+    grunt.config.init();
+    grunt.config('usemin', {
+      options: {
+        dryRun: true
+      },
+      css: 'dryrun/style.css'
+    });
+    grunt.file.write('dryrun/images/23012.test.png', 'foo');
+    grunt.file.copy(path.join(__dirname, 'fixtures/style.css'), 'dryrun/style.css');
+    grunt.log.writeln = function (msg) {
+      output.push(msg);
+      return writeln.apply(this, arguments);
+    };
+    grunt.task.run('usemin');
+    grunt.task.start();
+    grunt.log.writeln = writeln;
+
+    assert.equal(grunt.file.read('dryrun/style.css'), grunt.file.read(path.join(__dirname, 'fixtures/style.css')));
+    output = output.join('\n');
+    assert.ok(output.match(/^- {2}background: url\("images\/test\.png"\)/m));
+    assert.ok(output.match(/^\+ {2}background: url\("images\/23012\.test\.png"\)/m));
+  });
+
+  it('should write a report', function () {
+    grunt.log.muted = true;
+    grunt.config.init();
+    grunt.config('usemin', {
+      options: {
+        dryRun: true,
+        report: 'report/usemin.json'
+      },
+      html: 'index.html'
+    });
+    grunt.file.write('images/23012.test.png', 'foo');
+    grunt.file.copy(path.join(__dirname, 'fixtures/usemin.html'), 'index.html');
+    grunt.task.run('usemin');
+    grunt.task.start();
+
+    var report = grunt.file.readJSON('report/usemin.json')['index.html'];
+    assert.equal(report.dest, 'index.html');
+    assert.equal(report.blocks.length, 5);
+    assert.equal(report.blocks[0].dest, 'styles/main.min.css');
+    assert.ok(report.replaced.some(function (r) {
+      return r.from === 'images/test.png' && r.to === 'images/23012.test.png';
+    }));
+    assert.ok(report.untouched.some(function (r) {
+      return r.src === 'http://foo/bar';
+    }));
+    assert.ok(!grunt.file.read('index.html').match(/23012/));
+  });
+
+  it('should use the furnished blockReplacements', function () {
+    grunt.log.muted = true;
+    grunt.config.init();
+    grunt.config('usemin', {
+      options: {
+        blockReplacements: {
+          js: '<script defer src="{{dest}}"></script>',
+          coffee: function (block) {
+            return '<script src="' + block.dest.replace(/\.coffee$/, '.js') + '"></script>';
+          }
+        }
+      },
+      html: 'custom/index.html'
+    });
+    grunt.file.write('custom/index.html', '<!-- build:js app.js -->\n<script src="foo.js"></script>\n<!-- endbuild -->\n' +
+      '<!-- build:coffee main.coffee -->\n<script type="text/coffeescript" src="main.coffee"></script>\n<!-- endbuild -->\n' +
+      '<!-- build:remove dev.js -->\n<script src="dev.js"></script>\n<!-- endbuild -->\n');
+    grunt.task.run('usemin');
+    grunt.task.start();
+
+    assert.equal(grunt.file.read('custom/index.html'), '<script defer src="app.js"></script>\n<script src="main.js"></script>\n\n');
+  });
+
+  it('should inline the target of inline blocks', function () {
+    grunt.log.muted = true;
+    grunt.config.init();
+    grunt.config('usemin', {
+      html: 'inline/index.html'
+    });
+    grunt.file.write('inline/styles/critical.css', 'body{margin:0}\n');
+    grunt.file.write('inline/index.html', '<!-- build:inline-css styles/critical.css -->\n' +
+      '<link rel="stylesheet" href="styles/reset.css">\n<!-- endbuild -->\n');
+    grunt.task.run('usemin');
+    grunt.task.start();
+
+    assert.equal(grunt.file.read('inline/index.html'), '<style>body{margin:0}</style>\n');
+  });
+
+  it('should only collapse the blocks of the furnished environment', function () {
+    grunt.log.muted = true;
+    grunt.config.init();
+    grunt.config('usemin', {
+      options: {
+        environment: 'cordova'
+      },
+      html: 'env/index.html'
+    });
+    grunt.file.write('env/index.html', '<!-- build:js(env=cordova) app.js -->\n<script src="foo.js"></script>\n<!-- endbuild -->\n' +
+      '<!-- build:js(env=production) analytics.js -->\n<script src="ga.js"></script>\n<!-- endbuild -->\n');
+    grunt.task.run('usemin');
+    grunt.task.start();
+
+    assert.equal(grunt.file.read('env/index.html'), '<script src="app.js"></script>\n\n');
+  });
+
+  describe('useminRev', function () {
+    var md5 = function (content) {
+      return require('crypto').createHash('md5').update(content).digest('hex').substr(0, 8);
+    };
+
+    var app = '(function () {\n}());\n';
+
+    var reset = function () {
+      grunt.usemin.dests = [];
+      grunt.usemin.revved = {};
+    };
+
+    it('should rev the blocks destinations and the furnished files for usemin', function () {
+      reset();
+      grunt.log.muted = true;
+      grunt.config.init();
+      grunt.config('useminPrepare', {html: 'rev/index.html'});
+      grunt.config('useminRev', {
+        options: {manifest: 'rev/manifest.json'},
+        images: 'rev/images/*.png'
+      });
+      grunt.config('usemin', {html: 'rev/index.html'});
+      grunt.file.write('rev/index.html', '<!-- build:js scripts/app.js -->\n<script src="scripts/foo.js"></script>\n<!-- endbuild -->\n' +
+        '<img src="images/logo.png">\n');
+      grunt.file.write('rev/images/logo.png', 'logo');
+      grunt.task.run('useminPrepare');
+      grunt.task.start();
+
+      // what the concat / min tasks would have produced
+      grunt.file.write('rev/scripts/app.js', app);
+      grunt.task.run(['useminRev', 'usemin']);
+      grunt.task.start();
+
+      assert.ok(grunt.file.isFile('rev/scripts/' + md5(app) + '.app.js'));
+      assert.ok(!grunt.file.exists('rev/scripts/app.js'));
+      assert.ok(grunt.file.isFile('rev/images/' + md5('logo') + '.logo.png'));
+      assert.deepEqual(grunt.file.readJSON('rev/manifest.json'), {
+        'rev/images/logo.png': 'rev/images/' + md5('logo') + '.logo.png',
+        'rev/scripts/app.js': 'rev/scripts/' + md5(app) + '.app.js'
+      });
+      assert.equal(grunt.file.read('rev/index.html'), '<script src="scripts/' + md5(app) + '.app.js"></script>\n' +
+        '<img src="images/' + md5('logo') + '.logo.png">\n');
+      reset();
+    });
+
+    it('should leave the inlined blocks destinations for usemin to embed', function () {
+      reset();
+      grunt.log.muted = true;
+      grunt.config.init();
+      grunt.config('useminPrepare', {html: 'revinline/index.html'});
+      grunt.config('useminRev', {
+        images: 'revinline/images/*.png'
+      });
+      grunt.config('usemin', {html: 'revinline/index.html'});
+      grunt.file.write('revinline/index.html', '<!-- build:inline-css styles/critical.css -->\n' +
+        '<link rel="stylesheet" href="styles/foo.css">\n<!-- endbuild -->\n');
+      grunt.file.write('revinline/images/pic.png', 'pic');
+      grunt.task.run('useminPrepare');
+      grunt.task.start();
+
+      // what the concat / css tasks would have produced
+      grunt.file.write('revinline/styles/critical.css', 'body{background:url(../images/pic.png)}\n');
+      grunt.task.run(['useminRev', 'usemin']);
+      grunt.task.start();
+
+      assert.deepEqual(grunt.usemin.dests, [{dest: 'revinline/styles/critical.css', type: 'inline-css'}]);
+      assert.deepEqual(Object.keys(grunt.usemin.revved), ['revinline/images/pic.png']);
+      assert.equal(grunt.file.read('revinline/index.html'), '<style>body{background:url(images/' + md5('pic') + '.pic.png)}</style>\n');
+      reset();
+    });
+
+    it('should rev the referenced files first', function () {
+      reset();
+      grunt.log.muted = true;
+      grunt.config.init();
+      grunt.config('useminRev', {
+        assets: ['dep/styles/main.css', 'dep/images/pic.png']
+      });
+      grunt.file.write('dep/images/pic.png', 'pic');
+      grunt.file.write('dep/styles/main.css', 'body { background: url("../images/pic.png"); }');
+      grunt.task.run('useminRev');
+      grunt.task.start();
+
+      var css = 'body { background: url("../images/' + md5('pic') + '.pic.png"); }';
+      assert.equal(grunt.file.read('dep/styles/' + md5(css) + '.main.css'), css);
+      assert.deepEqual(Object.keys(grunt.usemin.revved), ['dep/images/pic.png', 'dep/styles/main.css']);
+      reset();
+    });
+
+    it('should use the patterns of each file type and leave the blocks to usemin', function () {
+      reset();
+      grunt.log.muted = true;
+      grunt.config.init();
+      grunt.config('useminRev', {
+        options: {
+          patterns: {
+            js: [[/templateUrl:\s*['"]([^'"]+)['"]/gm, 'Update the templates']]
+          }
+        },
+        assets: ['types/nav.tpl', 'types/app.js', 'types/index.html']
+      });
+      var html = '<!-- build:js app.min.js -->\n<script src="app.js"></script>\n<!-- endbuild -->\n<p>templateUrl: "nav.tpl"</p>\n';
+      grunt.file.write('types/nav.tpl', 'nav');
+      grunt.file.write('types/app.js', '(function () {\n  \'use strict\';\n  return {templateUrl: \'nav.tpl\'};\n}());\n');
+      grunt.file.write('types/index.html', html);
+      grunt.task.run('useminRev');
+      grunt.task.start();
+
+      var js = '(function () {\n  \'use strict\';\n  return {templateUrl: \'' + md5('nav') + '.nav.tpl\'};\n}());\n';
+      var revvedJs = md5(js) + '.app.js';
+      assert.equal(grunt.file.read('types/' + revvedJs), js);
+      // the JS patterns are not used on HTML files, whose blocks are kept
+      var revvedHtml = html.replace('app.js', revvedJs);
+      assert.equal(grunt.file.read('types/' + md5(revvedHtml) + '.index.html'), revvedHtml);
+      reset();
+    });
+
+    it('should warn about circular references', function () {
+      reset();
+      grunt.log.muted = true;
+      grunt.config.init();
+      grunt.config('useminRev', {
+        assets: 'cycle/*.css'
+      });
+      grunt.file.write('cycle/a.css', '.a { background: url("b.css"); }');
+      grunt.file.write('cycle/b.css', '.b { background: url("a.css"); }');
+
+      var warnings = captureWarnings(function () {
+        grunt.task.run('useminRev');
+        grunt.task.start();
+      }).warnings;
+
+      assert.equal(warnings.length, 1);
+      assert.ok(warnings[0].match(/Circular references between cycle\/a\.css, cycle\/b\.css/));
+      assert.equal(Object.keys(grunt.usemin.revved).length, 2);
+      reset();
+    });
+
+    it('should only rev the furnished files when asked to', function () {
+      reset();
+      grunt.log.muted = true;
+      grunt.config.init();
+      grunt.config('useminRev', {
+        options: {blocks: false, length: 4},
+        images: 'rev2/*.png'
+      });
+      grunt.usemin.dests = [{dest: 'rev2/app.js', type: 'js'}];
+      grunt.file.write('rev2/app.js', app);
+      grunt.file.write('rev2/logo.png', 'logo');
+      grunt.task.run('useminRev');
+      grunt.task.start();
+
+      assert.ok(grunt.file.isFile('rev2/app.js'));
+      assert.deepEqual(grunt.usemin.revved, {'rev2/logo.png': 'rev2/' + md5('logo').substr(0, 4) + '.logo.png'});
+      reset();
+    });
+  });
+
+  describe('missing references', function () {
+    var run = function (options) {
+      grunt.log.muted = true;
+      grunt.config.init();
+      grunt.config('usemin', {
+        options: options,
+        html: 'missing/index.html'
+      });
+      grunt.file.write('missing/images/23012.test.png', 'foo');
+      grunt.file.copy(path.join(__dirname, 'fixtures/usemin.html'), 'missing/index.html');
+      return captureWarnings(function () {
+        grunt.task.run('usemin');
+        grunt.task.start();
+      });
+    };
+
+    it('should warn about local references not revved', function () {
+      var res = run({ warnOnMissing: true });
+      assert.equal(res.failures.length, 0);
+      assert.equal(res.warnings.length, 1);
+      var msg = res.warnings[0];
+      assert.ok(msg.match(/missing\/index\.html:90: images\/misc\/test\.png/));
+      assert.ok(!msg.match(/foo\.html/));
+      assert.ok(msg.match(/missing\/index\.html:16: \/styles\/main\.min\.css/));
+      assert.ok(!msg.match(/images\/test\.png/));
+      assert.ok(!msg.match(/http:|#local|\/\/images/));
+    });
+
+    it('should fail on local references not revved', function () {
+      var res = run({ failOnMissing: true, missingInclude: ['*.png'] });
+      assert.equal(res.warnings.length, 0);
+      assert.equal(res.failures.length, 1);
+      assert.ok(res.failures[0].match(/^1 reference\(s\) not resolved/));
+      assert.ok(res.failures[0].match(/images\/misc\/test\.png/));
+    });
+
+    it('should report the links to documents when asked to', function () {
+      var res = run({ warnOnMissing: true, missingInclude: ['*.html'] });
+      assert.equal(res.warnings.length, 1);
+      assert.ok(res.warnings[0].match(/missing\/index\.html:94: foo\.html/));
+      assert.ok(!res.warnings[0].match(/\.png/));
+    });
+
+    it('should not report excluded references', function () {
+      var res = run({ warnOnMissing: true, missingExclude: ['*.html', '*.css', '*.js'] });
+      assert.equal(res.warnings.length, 1);
+      assert.ok(!res.warnings[0].match(/foo\.html|main\.min\.css|\.js/));
+      assert.ok(res.warnings[0].match(/images\/misc\/test\.png/));
+    });
+
+    it('should not report anything when not asked to', function () {
+      var res = run({});
+      assert.equal(res.warnings.length + res.failures.length, 0);
+    });
+  });
+
   describe('useminPrepare', function () {
     it('should update the config (HTML)', function () {
       grunt.log.muted = true;
@@ -215,5 +868,194 @@ describe('usemin', function () {
       assert.equal(min['build/scripts/amd-app.js'], 'build/scripts/amd-app.js');
       assert.equal(min['build/scripts/foo.js'], 'build/scripts/foo.js');
     });
+
+    it('should route blocks of other types through the flow', function () {
+      grunt.log.muted = true;
+      grunt.config.init();
+      grunt.config('useminPrepare', {
+        options: {
+          flow: {coffee: ['coffee', 'uglifyjs']},
+          steps: {
+            coffee: {
+              name: 'coffee',
+              createConfig: function (context) {
+                return {files: [{src: context.inFiles, dest: context.outFile}]};
+              }
+            }
+          }
+        },
+        html: 'custom/prepare.html'
+      });
+      grunt.file.write('custom/prepare.html', '<!-- build:coffee scripts/main.js -->\n<script src="scripts/main.coffee"></script>\n<!-- endbuild -->\n' +
+        '<!-- build:remove dev.js -->\n<script src="dev.js"></script>\n<!-- endbuild -->\n');
+      grunt.task.run('useminPrepare');
+      grunt.task.start();
+
+      assert.deepEqual(grunt.config('coffee')['custom/scripts/main.js'], {files: [{src: ['custom/scripts/main.coffee'], dest: 'custom/scripts/main.js'}]});
+      assert.deepEqual(grunt.config('uglify')['custom/scripts/main.js'].src, ['custom/scripts/main.js']);
+      assert.ok(!grunt.config('concat'));
+    });
+
+    it('should only configure the blocks of the furnished environment', function () {
+      grunt.log.muted = true;
+      grunt.config.init();
+      grunt.config('useminPrepare', {
+        options: {
+          environment: 'production'
+        },
+        html: 'env/prepare.html'
+      });
+      grunt.file.write('env/prepare.html', '<!-- build:js(env=cordova) app.js -->\n<script src="foo.js"></script>\n<!-- endbuild -->\n' +
+        '<!-- build:js(env=production) analytics.js -->\n<script src="ga.js"></script>\n<!-- endbuild -->\n');
+      grunt.task.run('useminPrepare');
+      grunt.task.start();
+
+      assert.deepEqual(Object.keys(grunt.config('concat')), ['env/analytics.js']);
+    });
+
+    it('should ask for source maps when asked to', function () {
+      grunt.log.muted = true;
+      grunt.config.init();
+      grunt.config('useminPrepare', {
+        options: {
+          flow: {js: ['concat', 'uglifyjs']},
+          sourceMap: true,
+          staging: 'maps/tmp'
+        },
+        html: 'maps/index.html'
+      });
+      grunt.file.write('maps/index.html', '<!-- build:js scripts/main.js -->\n<script src="scripts/foo.js"></script>\n<!-- endbuild -->\n');
+      grunt.task.run('useminPrepare');
+      grunt.task.start();
+
+      assert.deepEqual(grunt.config('concat')['maps/scripts/main.js'], {src: ['maps/scripts/foo.js'], dest: 'maps/tmp/concat/maps/scripts/main.js', options: {sourceMap: true}});
+      assert.deepEqual(grunt.config('uglify')['maps/scripts/main.js'], {src: ['maps/tmp/concat/maps/scripts/main.js'], dest: 'maps/scripts/main.js',
+        options: {sourceMap: true, sourceMapIn: 'maps/tmp/concat/maps/scripts/main.js.map'}});
+    });
+
+    it('should write a report of the blocks', function () {
+      grunt.log.muted = true;
+      grunt.config.init();
+      grunt.config('useminPrepare', {
+        options: {
+          environment: 'production',
+          report: 'report/prepare.json'
+        },
+        html: 'report/index.html'
+      });
+      grunt.file.write('report/index.html', '<html>\n<!-- build:js scripts/app.js -->\n' +
+        '<script data-main="scripts/main" src="scripts/require.js"></script>\n<!-- endbuild -->\n' +
+        '<!-- build:css(env=cordova) styles/cordova.css -->\n<link rel="stylesheet" href="styles/cordova.css">\n<!-- endbuild -->\n');
+      grunt.file.write('report/scripts/require.js', '(function () {\n}());\n');
+      grunt.task.run('useminPrepare');
+      grunt.task.start();
+
+      var report = grunt.file.readJSON('report/prepare.json');
+      assert.deepEqual(report, {
+        'report/index.html': {
+          blocks: [{
+            type: 'js',
+            dest: 'report/scripts/app.js',
+            src: ['report/scripts/require.js', 'report/scripts/app.js'],
+            line: 2,
+            endLine: 4,
+            touched: ['concat', 'min', 'requirejs'],
+            requirejs: {dest: 'report/scripts/app.js', baseUrl: 'report/scripts', name: 'main'}
+          }, {
+            type: 'css',
+            dest: 'report/styles/cordova.css',
+            src: ['report/styles/cordova.css'],
+            line: 5,
+            endLine: 7,
+            touched: [],
+            skipped: true
+          }],
+          touched: ['concat', 'min', 'requirejs']
+        }
+      });
+    });
+
+    it('should use the flow option to select the steps to configure', function () {
+      grunt.log.muted = true;
+      grunt.config.init();
+      grunt.config('useminPrepare', {
+        options: {
+          flow: {js: ['concat', 'uglifyjs'], css: ['concat', 'cssmin']}
+        },
+        html: 'index.html'
+      });
+      grunt.file.copy(path.join(__dirname, 'fixtures/usemin.html'), 'index.html');
+      grunt.task.run('useminPrepare');
+      grunt.task.start();
+
+      assert.equal(grunt.config('concat')['scripts/plugins.js'].length, 13);
+      assert.ok(!grunt.config('min'));
+      assert.ok(!grunt.config('css'));
+
+      var uglify = grunt.config('uglify');
+      assert.deepEqual(uglify['scripts/plugins.js'], {src: ['scripts/plugins.js'], dest: 'scripts/plugins.js'});
+      assert.ok(!uglify['scripts/concat.js']);
+
+      var cssmin = grunt.config('cssmin');
+      assert.deepEqual(cssmin['styles/main.min.css'], {src: ['styles/main.min.css'], dest: 'styles/main.min.css'});
+    });
+
+    describe('validation', function () {
+      var run = function (options, sources) {
+        grunt.log.muted = true;
+        grunt.config.init();
+        grunt.config('useminPrepare', {
+          options: options,
+          html: ['validate/index.html', 'validate/about.html']
+        });
+        grunt.file.delete('validate');
+        (sources || ['foo.js', 'bar.js']).forEach(function (name) {
+          grunt.file.write('validate/scripts/' + name, '(function () {\n}());\n');
+        });
+        grunt.file.write('validate/index.html', '<html>\n<!-- build:js scripts/app.js -->\n' +
+          '<script src="scripts/foo.js"></script>\n<!-- endbuild -->\n' +
+          '<!-- build:css styles/main.css -->\n<link rel="stylesheet" href="styles/main.css">\n');
+        grunt.file.write('validate/about.html', '<html>\n<!-- build:js scripts/app.js -->\n' +
+          '<script src="scripts/foo.js"></script>\n<script src="scripts/bar.js"></script>\n<!-- endbuild -->\n');
+        return captureWarnings(function () {
+          grunt.task.run('useminPrepare');
+          grunt.task.start();
+        });
+      };
+
+      it('should warn about the problems found in the blocks', function () {
+        var res = run({});
+        assert.equal(res.failures.length, 0);
+        assert.equal(res.warnings.length, 1);
+        var msg = res.warnings[0];
+        assert.ok(msg.match(/^2 problem\(s\) found in the blocks/));
+        assert.ok(msg.match(/validate\/index\.html:5: build:css validate\/styles\/main\.css is never closed/));
+        assert.ok(msg.match(/validate\/about\.html:2: build:js validate\/scripts\/app\.js already defined with other sources at validate\/index\.html:2/));
+      });
+
+      it('should fail on the problems found in strict mode', function () {
+        var res = run({ strict: true });
+        assert.equal(res.warnings.length, 0);
+        assert.equal(res.failures.length, 1);
+        assert.ok(res.failures[0].match(/^2 problem\(s\) found in the blocks/));
+      });
+
+      it('should keep the first definition of a dest', function () {
+        run({});
+        assert.deepEqual(grunt.config('concat')['validate/scripts/app.js'], ['validate/scripts/foo.js']);
+      });
+
+      it('should merge the definitions of a dest when asked to', function () {
+        var res = run({ conflicts: 'merge' });
+        assert.equal(res.warnings.length, 1);
+        assert.ok(res.warnings[0].match(/^1 problem\(s\) found in the blocks/));
+        assert.deepEqual(grunt.config('concat')['validate/scripts/app.js'], ['validate/scripts/foo.js', 'validate/scripts/bar.js']);
+      });
+
+      it('should report the sources not found', function () {
+        var res = run({ conflicts: 'merge' }, ['foo.js']);
+        assert.ok(res.warnings[0].match(/validate\/about\.html:2: validate\/scripts\/bar\.js of build:js validate\/scripts\/app\.js not found/));
+      });
+    });
   });
 });